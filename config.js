@@ -0,0 +1,17 @@
+/**
+ * APPLICATION CONFIG
+ * Central place for settings that can be overridden with environment variables
+ */
+
+const path = require('path');
+
+module.exports = {
+  // Where the library is stored
+  // - 'json'   : data/tracks.json + data/playlists.json (default)
+  // - 'sqlite' : single embedded SQLite database file
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'json',
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    sqliteFile: process.env.SQLITE_FILE || path.join(__dirname, 'data/library.db')
+  }
+};
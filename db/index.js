@@ -0,0 +1,44 @@
+/**
+ * DATA ACCESS
+ * Shared collections used by all routes
+ * Routes must go through these instead of touching storage directly
+ *
+ * Every collection implements the same async interface:
+ *   getAll(), getById(id), getByIds(ids), findBy(field, value), count(),
+ *   create(data), createUnique(field, data), update(id, changes), remove(id),
+ *   removeWhere(predicate)
+ * The backend (JSON files or SQLite) is picked by config.storage.driver
+ */
+
+const path = require('path');
+const config = require('../config');
+const JsonCollection = require('./jsonCollection');
+
+/**
+ * @param {string} name - Collection name
+ * @param {Object} options - { indexes: [...] } fields looked up with findBy
+ */
+const createCollection = (name, options = {}) => {
+  const { driver, dataDir, sqliteFile } = config.storage;
+
+  switch (driver) {
+    case 'json':
+      return new JsonCollection(path.join(dataDir, `${name}.json`));
+
+    case 'sqlite': {
+      const SqliteCollection = require('./sqliteCollection');
+      return new SqliteCollection(sqliteFile, name, options);
+    }
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  tracks: createCollection('tracks', { indexes: ['hash'] }),
+  playlists: createCollection('playlists'),
+  sessions: createCollection('sessions'),
+  history: createCollection('history'),
+  generateId: JsonCollection.generateId
+};
@@ -0,0 +1,228 @@
+/**
+ * JSON COLLECTION
+ * Stores one collection (tracks, playlists, ...) as a JSON array on disk
+ * - Data is cached in memory after the first read
+ * - Writes are serialized per collection, so concurrent requests
+ *   can no longer overwrite each other's changes
+ * - Files are written atomically (write temp file, then rename),
+ *   so a crash mid-write never leaves a truncated file behind
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Generate a collision-free ID for a new record
+const generateId = () => crypto.randomUUID();
+
+// Deep copy so callers can never mutate the cache by accident
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class JsonCollection {
+  /**
+   * @param {string} filePath - Absolute path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.items = null;           // In-memory cache, loaded lazily
+    this.loading = null;         // Pending initial load
+    this.writeQueue = Promise.resolve();
+  }
+
+  // ============================================
+  // LOADING & PERSISTENCE
+  // ============================================
+
+  async load() {
+    if (this.items) return this.items;
+
+    if (!this.loading) {
+      this.loading = fs.promises.readFile(this.filePath, 'utf8')
+        .then(data => JSON.parse(data))
+        .catch(error => {
+          if (error.code === 'ENOENT') return [];
+          this.loading = null;
+          throw error;
+        })
+        .then(items => {
+          this.items = items;
+          return items;
+        });
+    }
+
+    return this.loading;
+  }
+
+  async persist(items) {
+    const dir = path.dirname(this.filePath);
+    const tmpPath = path.join(dir, `.${path.basename(this.filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(items, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      await fs.promises.unlink(tmpPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Run a mutation after every previously queued one has finished.
+   * The mutation receives a copy of the collection and returns
+   * { items, result }; the new items only replace the cache once they
+   * are on disk. Omit items to leave the collection untouched.
+   */
+  mutate(mutation) {
+    const run = this.writeQueue.then(async () => {
+      const current = await this.load();
+      const { items, result } = await mutation(clone(current));
+
+      if (items) {
+        await this.persist(items);
+        this.items = items;
+      }
+
+      return result;
+    });
+
+    // Keep the queue alive even if this mutation fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  async getAll() {
+    return clone(await this.load());
+  }
+
+  async getById(id) {
+    const items = await this.load();
+    const item = items.find(i => i.id === id);
+    return item ? clone(item) : null;
+  }
+
+  /**
+   * Fetch several records at once, in the order of the given IDs
+   * Unknown IDs are skipped
+   */
+  async getByIds(ids) {
+    const items = await this.load();
+    const byId = new Map(items.map(i => [i.id, i]));
+    return ids.filter(id => byId.has(id)).map(id => clone(byId.get(id)));
+  }
+
+  /**
+   * Find every record whose field equals a value
+   * @param {string} field - Top-level field name (e.g. 'hash')
+   * @param {*} value - Value to match
+   * @returns {Promise<Array>}
+   */
+  async findBy(field, value) {
+    const items = await this.load();
+    return items.filter(i => i[field] === value).map(clone);
+  }
+
+  async count() {
+    return (await this.load()).length;
+  }
+
+  // ============================================
+  // MUTATIONS
+  // ============================================
+
+  /**
+   * Insert a new record
+   * @param {Object} data - Record fields; an ID is generated if missing
+   * @returns {Promise<Object>} The stored record
+   */
+  create(data) {
+    return this.mutate(items => {
+      const { id, ...fields } = clone(data);
+      const item = { id: id || generateId(), ...fields };
+      items.push(item);
+      return { items, result: clone(item) };
+    });
+  }
+
+  /**
+   * Insert a new record unless one with the same field value is stored
+   * The check and the insert run as one queued mutation, so two
+   * concurrent calls can never both insert
+   * @param {string} field - Top-level field that must be unique (e.g. 'hash')
+   * @param {Object} data - Record fields; an ID is generated if missing
+   * @returns {Promise<Object>} { created, item } - item is the existing record when created is false
+   */
+  createUnique(field, data) {
+    return this.mutate(items => {
+      const existing = items.find(i => i[field] === data[field]);
+      if (existing) return { result: { created: false, item: clone(existing) } };
+
+      const { id, ...fields } = clone(data);
+      const item = { id: id || generateId(), ...fields };
+      items.push(item);
+      return { items, result: { created: true, item: clone(item) } };
+    });
+  }
+
+  /**
+   * Update a record
+   * @param {string} id - Record ID
+   * @param {Object|Function} changes - Fields to merge, or a function that
+   *   receives the current record and returns the fields to merge
+   * @returns {Promise<Object|null>} Updated record, or null if not found
+   */
+  update(id, changes) {
+    return this.mutate(async items => {
+      const index = items.findIndex(i => i.id === id);
+      if (index === -1) return { result: null };
+
+      const fields = typeof changes === 'function' ? await changes(items[index]) : changes;
+      items[index] = { ...items[index], ...fields, id };
+      return { items, result: clone(items[index]) };
+    });
+  }
+
+  /**
+   * Delete a record
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Deleted record, or null if not found
+   */
+  remove(id) {
+    return this.mutate(items => {
+      const index = items.findIndex(i => i.id === id);
+      if (index === -1) return { result: null };
+
+      const [removed] = items.splice(index, 1);
+      return { items, result: removed };
+    });
+  }
+
+  /**
+   * Delete every record a predicate matches
+   * @param {Function} predicate - record -> true to delete it
+   * @returns {Promise<number>} Number of records deleted
+   */
+  removeWhere(predicate) {
+    return this.mutate(items => {
+      const kept = items.filter(i => !predicate(i));
+      const removed = items.length - kept.length;
+      return removed > 0 ? { items: kept, result: removed } : { result: 0 };
+    });
+  }
+}
+
+JsonCollection.generateId = generateId;
+
+module.exports = JsonCollection;
@@ -0,0 +1,53 @@
+/**
+ * JSON -> SQLITE MIGRATION
+ * One-shot import of the JSON collections in data/ (tracks, playlists,
+ * sessions, history)
+ * into the SQLite database configured in config.js
+ *
+ * Usage: npm run migrate
+ * Records that already exist in the database (same ID) are skipped,
+ * so running it twice is harmless. The JSON files are left in place.
+ * Afterwards start the server with STORAGE_DRIVER=sqlite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const SqliteCollection = require('./sqliteCollection');
+
+const COLLECTIONS = ['tracks', 'playlists', 'sessions', 'history'];
+
+const readJsonFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return [];
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data)) {
+    throw new Error(`${filePath} does not contain a JSON array`);
+  }
+  return data;
+};
+
+const migrate = async () => {
+  const { dataDir, sqliteFile } = config.storage;
+  console.log(`📦 Migrating JSON data into ${sqliteFile}`);
+
+  for (const name of COLLECTIONS) {
+    const filePath = path.join(dataDir, `${name}.json`);
+    const records = readJsonFile(filePath);
+    const collection = new SqliteCollection(sqliteFile, name);
+
+    const inserted = await collection.importAll(records);
+    const skipped = records.length - inserted;
+    console.log(`   ✅ ${name}: ${inserted} imported, ${skipped} already present`);
+  }
+
+  console.log('   Done. Start the server with STORAGE_DRIVER=sqlite to use it.');
+};
+
+if (require.main === module) {
+  migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = migrate;
@@ -0,0 +1,256 @@
+/**
+ * SQLITE COLLECTION
+ * Stores one collection (tracks, playlists, ...) as a table in an
+ * embedded SQLite database
+ * - Each record is kept as a JSON document keyed by its ID, so routes
+ *   can add new fields without a schema change
+ * - Lookups by ID go through the primary key index instead of
+ *   scanning the whole collection
+ * - Exposes the same async interface as JsonCollection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonCollection = require('./jsonCollection');
+
+const generateId = JsonCollection.generateId;
+
+// Table and field names are interpolated into SQL, so keep them simple
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+// One connection per database file, shared by every collection in it
+const connections = new Map();
+
+const openDatabase = (filePath) => {
+  if (!connections.has(filePath)) {
+    // Required lazily so the JSON backend works without the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const database = new Database(filePath);
+    database.pragma('journal_mode = WAL');
+    connections.set(filePath, database);
+  }
+  return connections.get(filePath);
+};
+
+class SqliteCollection {
+  /**
+   * @param {string} filePath - Absolute path of the SQLite database file
+   * @param {string} name - Table name (e.g. 'tracks')
+   * @param {Object} options - { indexes: ['field', ...] } fields queried with findBy
+   */
+  constructor(filePath, name, options = {}) {
+    const indexes = options.indexes || [];
+    [name, ...indexes].forEach(identifier => {
+      if (!IDENTIFIER.test(identifier)) {
+        throw new Error(`Invalid collection or field name: ${identifier}`);
+      }
+    });
+
+    this.db = openDatabase(filePath);
+    this.name = name;
+    this.writeQueue = Promise.resolve();
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${name} (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+
+    // Expression indexes must use the exact same expression as findBy
+    indexes.forEach(field => {
+      this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${field} ON ${name} (json_extract(data, '$.${field}'))`);
+    });
+
+    this.statements = {
+      all: this.db.prepare(`SELECT data FROM ${name} ORDER BY rowid`),
+      get: this.db.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+      insert: this.db.prepare(`INSERT INTO ${name} (id, data) VALUES (?, ?)`),
+      insertIfMissing: this.db.prepare(`INSERT OR IGNORE INTO ${name} (id, data) VALUES (?, ?)`),
+      update: this.db.prepare(`UPDATE ${name} SET data = ? WHERE id = ?`),
+      remove: this.db.prepare(`DELETE FROM ${name} WHERE id = ?`),
+      count: this.db.prepare(`SELECT COUNT(*) AS count FROM ${name}`)
+    };
+  }
+
+  /**
+   * Run a mutation after every previously queued one has finished,
+   * so read-modify-write updates never interleave
+   */
+  mutate(mutation) {
+    const run = this.writeQueue.then(mutation);
+
+    // Keep the queue alive even if this mutation fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  async getAll() {
+    return this.statements.all.all().map(row => JSON.parse(row.data));
+  }
+
+  async getById(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Fetch several records at once, in the order of the given IDs
+   * Unknown IDs are skipped
+   */
+  async getByIds(ids) {
+    const unique = [...new Set(ids)];
+    if (unique.length === 0) return [];
+
+    const byId = new Map();
+    // Stay well below SQLite's bound-parameter limit
+    for (let i = 0; i < unique.length; i += 500) {
+      const chunk = unique.slice(i, i + 500);
+      const rows = this.db
+        .prepare(`SELECT data FROM ${this.name} WHERE id IN (${chunk.map(() => '?').join(', ')})`)
+        .all(...chunk);
+      rows.forEach(row => {
+        const item = JSON.parse(row.data);
+        byId.set(item.id, item);
+      });
+    }
+
+    return ids.filter(id => byId.has(id)).map(id => JSON.parse(JSON.stringify(byId.get(id))));
+  }
+
+  /**
+   * Find every record whose field equals a value
+   * @param {string} field - Top-level field name (e.g. 'hash')
+   * @param {*} value - Value to match
+   * @returns {Promise<Array>}
+   */
+  async findBy(field, value) {
+    if (!IDENTIFIER.test(field)) {
+      throw new Error(`Invalid field name: ${field}`);
+    }
+    return this.db
+      .prepare(`SELECT data FROM ${this.name} WHERE json_extract(data, '$.${field}') = ? ORDER BY rowid`)
+      .all(value)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async count() {
+    return this.statements.count.get().count;
+  }
+
+  // ============================================
+  // MUTATIONS
+  // ============================================
+
+  /**
+   * Insert a new record
+   * @param {Object} data - Record fields; an ID is generated if missing
+   * @returns {Promise<Object>} The stored record
+   */
+  create(data) {
+    return this.mutate(() => {
+      const { id, ...fields } = data;
+      const item = { id: id || generateId(), ...fields };
+      this.statements.insert.run(item.id, JSON.stringify(item));
+      return JSON.parse(JSON.stringify(item));
+    });
+  }
+
+  /**
+   * Insert a new record unless one with the same field value is stored
+   * The check and the insert run as one queued mutation, so two
+   * concurrent calls can never both insert
+   * @param {string} field - Top-level field that must be unique (e.g. 'hash')
+   * @param {Object} data - Record fields; an ID is generated if missing
+   * @returns {Promise<Object>} { created, item } - item is the existing record when created is false
+   */
+  createUnique(field, data) {
+    return this.mutate(async () => {
+      const [existing] = await this.findBy(field, data[field]);
+      if (existing) return { created: false, item: existing };
+
+      const { id, ...fields } = data;
+      const item = { id: id || generateId(), ...fields };
+      this.statements.insert.run(item.id, JSON.stringify(item));
+      return { created: true, item: JSON.parse(JSON.stringify(item)) };
+    });
+  }
+
+  /**
+   * Update a record
+   * @param {string} id - Record ID
+   * @param {Object|Function} changes - Fields to merge, or a function that
+   *   receives the current record and returns the fields to merge
+   * @returns {Promise<Object|null>} Updated record, or null if not found
+   */
+  update(id, changes) {
+    return this.mutate(async () => {
+      const current = await this.getById(id);
+      if (!current) return null;
+
+      const fields = typeof changes === 'function' ? await changes(current) : changes;
+      const item = { ...current, ...fields, id };
+      this.statements.update.run(JSON.stringify(item), id);
+      return item;
+    });
+  }
+
+  /**
+   * Delete a record
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Deleted record, or null if not found
+   */
+  remove(id) {
+    return this.mutate(async () => {
+      const current = await this.getById(id);
+      if (!current) return null;
+
+      this.statements.remove.run(id);
+      return current;
+    });
+  }
+
+  /**
+   * Delete every record a predicate matches
+   * @param {Function} predicate - record -> true to delete it
+   * @returns {Promise<number>} Number of records deleted
+   */
+  removeWhere(predicate) {
+    return this.mutate(async () => {
+      const ids = (await this.getAll()).filter(predicate).map(item => item.id);
+      const removeMany = this.db.transaction((list) => {
+        list.forEach(id => this.statements.remove.run(id));
+      });
+      removeMany(ids);
+      return ids.length;
+    });
+  }
+
+  /**
+   * Bulk-load records in one transaction, keeping their existing IDs
+   * Records whose ID is already stored are left untouched
+   * @param {Array} items - Records to import
+   * @returns {Promise<number>} Number of records actually inserted
+   */
+  importAll(items) {
+    return this.mutate(() => {
+      const insertMany = this.db.transaction((records) => {
+        let inserted = 0;
+        records.forEach(record => {
+          const item = { ...record, id: record.id || generateId() };
+          inserted += this.statements.insertIfMissing.run(item.id, JSON.stringify(item)).changes;
+        });
+        return inserted;
+      });
+      return insertMany(items);
+    });
+  }
+}
+
+module.exports = SqliteCollection;
@@ -0,0 +1,53 @@
+/**
+ * BATCH UPLOAD MIDDLEWARE
+ * Multer setup for the batch import endpoint
+ * Accepts audio files, ZIP archives and sidecars (cover images, .lrc)
+ * into /uploads/tmp/ - the route decides per file what to import, use
+ * as a sidecar or unpack, so one bad file does not fail the whole request.
+ * Other files are skipped and listed in req.skippedFiles for the report
+ */
+
+const multer = require('multer');
+const path = require('path');
+const archive = require('../services/archive');
+const artwork = require('../services/artwork');
+const importer = require('../services/importer');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, path.join(__dirname, '../uploads/tmp'));
+  },
+
+  // Random name: the original name is kept in file.originalname
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `batch-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+// Skip (rather than fail on) files the import could never use
+const fileFilter = (req, file, cb) => {
+  const basename = path.basename(file.originalname);
+  const accepted = importer.isAudioFile(basename) ||
+    archive.isZipFile(basename) ||
+    artwork.isSidecarName(basename) ||
+    path.extname(basename).toLowerCase() === '.lrc';
+
+  if (!accepted) {
+    req.skippedFiles = req.skippedFiles || [];
+    req.skippedFiles.push(file.originalname);
+  }
+  cb(null, accepted);
+};
+
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    // Sized for ZIP archives; the route holds loose files to importer.MAX_AUDIO_SIZE
+    fileSize: 1024 * 1024 * 1024, // 1GB max
+    files: 200
+  }
+});
+
+module.exports = batchUpload;
@@ -0,0 +1,26 @@
+/**
+ * PLAYLIST UPLOAD MIDDLEWARE
+ * Multer setup for playlist file imports (M3U, M3U8, PLS, XSPF)
+ * Files are small text files, so they are kept in memory (req.file.buffer)
+ */
+
+const multer = require('multer');
+const path = require('path');
+
+const fileFilter = (req, file, cb) => {
+  if (/^\.(m3u8?|pls|xspf)$/.test(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only playlist files are allowed! (m3u, m3u8, pls, xspf)'));
+  }
+};
+
+const playlistUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max
+  }
+});
+
+module.exports = playlistUpload;
@@ -2,6 +2,8 @@
  * FILE UPLOAD MIDDLEWARE
  * Uses Multer to handle audio file uploads
  * Validates file types and saves to /uploads/music/
+ * Optional sidecar files go to /uploads/tmp/:
+ * cover images (field "cover") and .lrc lyrics (field "lyrics")
  */
 
 const multer = require('multer');
@@ -11,7 +13,8 @@ const path = require('path');
 const storage = multer.diskStorage({
   // Destination folder for uploaded files
   destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads/music'));
+    const folder = file.fieldname === 'audio' ? 'music' : 'tmp';
+    cb(null, path.join(__dirname, '../uploads', folder));
   },
   
   // Generate unique filename: timestamp + original name
@@ -23,8 +26,24 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter: Only accept audio files
+// File filter: Only accept audio files (plus cover art and lyrics)
 const fileFilter = (req, file, cb) => {
+  // Sidecar cover art travels with the audio file
+  if (file.fieldname === 'cover') {
+    const isImage = /jpeg|jpg|png/.test(path.extname(file.originalname).toLowerCase()) &&
+      file.mimetype.startsWith('image/');
+    return isImage
+      ? cb(null, true)
+      : cb(new Error('Cover art must be a JPG or PNG image'));
+  }
+
+  // Browsers report no useful MIME type for .lrc, so check the extension only
+  if (file.fieldname === 'lyrics') {
+    return /^\.(lrc|txt)$/.test(path.extname(file.originalname).toLowerCase())
+      ? cb(null, true)
+      : cb(new Error('Lyrics must be an .lrc or .txt file'));
+  }
+
   const allowedTypes = /mp3|wav|ogg|m4a|flac|aac/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
   const mimetype = allowedTypes.test(file.mimetype);
@@ -31,16 +31,73 @@ const API = {
         }
     },
 
+    /**
+     * Build the streaming URL for a track
+     * Audio is served through the API so seeking uses HTTP Range requests
+     * @param {string} trackId - ID of track to stream
+     * @returns {string} URL to use as the audio source
+     */
+    getStreamUrl(trackId) {
+        return `${this.baseURL}/tracks/${encodeURIComponent(trackId)}/stream`;
+    },
+
+    /**
+     * Build the artwork URL for a track
+     * @param {Object} track - Track object
+     * @param {number} size - Optional thumbnail size (64, 128, 256 or 512)
+     * @returns {string|null} Image URL, or null if the track has no artwork
+     */
+    getArtworkUrl(track, size = null) {
+        if (!track || !track.artwork) return null;
+        
+        const params = new URLSearchParams({ v: track.artwork.hash });
+        if (size) params.set('size', size);
+        return `${this.baseURL}/tracks/${encodeURIComponent(track.id)}/artwork?${params}`;
+    },
+
     /**
      * Upload a single audio file
+     * The file is sent in chunks through a resumable upload session, so a
+     * dropped connection (or a page reload) only costs the current chunk:
+     * uploading the same file again picks up where it stopped
      * @param {File} file - Audio file to upload
      * @param {Object} metadata - Optional metadata (title, artist, etc.)
+     * @param {Object} sidecars - Optional companion files:
+     *   cover (cover.jpg, folder.png...) and lyrics (.lrc)
+     * @param {Object} options - { allowDuplicate } to skip the duplicate check,
+     *   { onProgress(loaded, total) } to follow the upload byte by byte
      * @returns {Promise<Object>} Uploaded track object
+     * @throws {Error} With error.duplicate and error.track when the file
+     *   is already in the library
      */
-    async uploadTrack(file, metadata = {}) {
+    async uploadTrack(file, metadata = {}, sidecars = {}, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        
         try {
+            const session = await this.startUpload(file);
+            const received = new Set(session.received);
+            
+            // Chunks stored before an interruption count as already sent
+            let loaded = session.received.reduce((sum, index) => {
+                return sum + Math.min(session.chunkSize, file.size - index * session.chunkSize);
+            }, 0);
+            onProgress(loaded, file.size);
+            
+            for (let index = 0; index < session.totalChunks; index++) {
+                if (received.has(index)) continue;
+                
+                const start = index * session.chunkSize;
+                const chunk = file.slice(start, start + session.chunkSize);
+                await this.uploadChunk(session.uploadId, index, chunk, (chunkLoaded) => {
+                    onProgress(loaded + chunkLoaded, file.size);
+                });
+                loaded += chunk.size;
+                onProgress(loaded, file.size);
+            }
+            
             const formData = new FormData();
-            formData.append('audio', file);
+            if (sidecars.cover) formData.append('cover', sidecars.cover);
+            if (sidecars.lyrics) formData.append('lyrics', sidecars.lyrics);
             
             // Add optional metadata
             if (metadata.title) formData.append('title', metadata.title);
@@ -48,15 +105,26 @@ const API = {
             if (metadata.album) formData.append('album', metadata.album);
             if (metadata.genre) formData.append('genre', metadata.genre);
             
-            const response = await fetch(`${this.baseURL}/tracks/upload`, {
+            const query = options.allowDuplicate ? '?allowDuplicate=true' : '';
+            const response = await fetch(`${this.baseURL}/tracks/uploads/${session.uploadId}/complete${query}`, {
                 method: 'POST',
                 body: formData
             });
             
             const data = await response.json();
             
+            // The session is gone on the server once completed (or unknown)
+            if (data.success || data.duplicate || response.status === 404) {
+                this.forgetUpload(file);
+            }
+            
             if (!data.success) {
-                throw new Error(data.error || 'Failed to upload track');
+                const error = new Error(data.error || 'Failed to upload track');
+                if (data.duplicate) {
+                    error.duplicate = true;
+                    error.track = data.track;
+                }
+                throw error;
             }
             
             return data.track;
@@ -66,6 +134,115 @@ const API = {
         }
     },
 
+    /**
+     * Import many files in one request
+     * ZIP archives are unpacked on the server; cover.jpg/folder.png and
+     * matching .lrc files are used as sidecars for the audio next to them
+     * @param {Array<File>} files - Audio files, sidecars and/or ZIP archives
+     * @param {Object} options - { allowDuplicate } to skip the duplicate check,
+     *   { onProgress(loaded, total) } to follow the upload byte by byte
+     * @returns {Promise<Object>} { summary, results } with one result per file:
+     *   { file, status: 'imported' | 'duplicate' | 'rejected', reason, track }
+     */
+    async importTracks(files, options = {}) {
+        try {
+            const formData = new FormData();
+            files.forEach(file => formData.append('files', file));
+            
+            const query = options.allowDuplicate ? '?allowDuplicate=true' : '';
+            const { data } = await this.sendWithProgress('POST', `${this.baseURL}/tracks/batch${query}`, formData, options.onProgress);
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to import files');
+            }
+            
+            return { summary: data.summary, results: data.results };
+        } catch (error) {
+            console.error('Error importing files:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get a track's lyrics
+     * @param {string} trackId - ID of track
+     * @returns {Promise<Object|null>} { synced, source, lines }, or null if none
+     */
+    async getLyrics(trackId) {
+        try {
+            const response = await fetch(`${this.baseURL}/tracks/${trackId}/lyrics`);
+            if (response.status === 404) return null;
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to fetch lyrics');
+            }
+            
+            return data.lyrics;
+        } catch (error) {
+            console.error('Error fetching lyrics:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Attach lyrics to a track
+     * @param {string} trackId - ID of track
+     * @param {File|string} lyrics - .lrc file or raw lyrics text
+     * @returns {Promise<Object>} { track, lyrics }
+     */
+    async updateLyrics(trackId, lyrics) {
+        try {
+            let options;
+            if (typeof lyrics === 'string') {
+                options = {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ lyrics })
+                };
+            } else {
+                const formData = new FormData();
+                formData.append('lyrics', lyrics);
+                options = { method: 'PUT', body: formData };
+            }
+            
+            const response = await fetch(`${this.baseURL}/tracks/${trackId}/lyrics`, options);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to save lyrics');
+            }
+            
+            return { track: data.track, lyrics: data.lyrics };
+        } catch (error) {
+            console.error('Error saving lyrics:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Find duplicate tracks in the library
+     * @returns {Promise<Object>} { byHash, byMetadata } groups of tracks
+     */
+    async findDuplicates() {
+        try {
+            const response = await fetch(`${this.baseURL}/tracks/duplicates`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to find duplicates');
+            }
+            
+            return { byHash: data.byHash, byMetadata: data.byMetadata };
+        } catch (error) {
+            console.error('Error finding duplicates:', error);
+            throw error;
+        }
+    },
+
     /**
      * Search tracks by query
      * @param {string} query - Search term
@@ -140,6 +317,72 @@ const API = {
         }
     },
 
+    /**
+     * Delete several tracks in one request
+     * @param {Array<string>} trackIds - IDs of tracks to delete
+     * @returns {Promise<Object>} { message, deleted, notFound }
+     */
+    async deleteTracks(trackIds) {
+        try {
+            const response = await fetch(`${this.baseURL}/tracks/bulk/delete`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ trackIds })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to delete tracks');
+            }
+            
+            return data;
+        } catch (error) {
+            console.error('Error deleting tracks:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Apply the same metadata changes to one or more tracks in one request
+     * @param {Array<string>} trackIds - IDs of tracks to update
+     * @param {Object} changes - Fields to set on every track (null clears optional ones)
+     * @param {Object} options - cover (image File), removeCover, and writeTags
+     *   to write the result into the audio files' tags as well
+     * @returns {Promise<Object>} { message, tracks, tagErrors, notFound }
+     */
+    async updateTracks(trackIds, changes, { cover = null, removeCover = false, writeTags = false } = {}) {
+        try {
+            // Multipart, so a cover image can travel with the changes
+            const formData = new FormData();
+            formData.append('trackIds', JSON.stringify(trackIds));
+            formData.append('changes', JSON.stringify(changes));
+            formData.append('removeCover', removeCover);
+            formData.append('writeTags', writeTags);
+            if (cover) {
+                formData.append('cover', cover);
+            }
+            
+            const response = await fetch(`${this.baseURL}/tracks/bulk`, {
+                method: 'PUT',
+                body: formData
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to update tracks');
+            }
+            
+            return data;
+        } catch (error) {
+            console.error('Error updating tracks:', error);
+            throw error;
+        }
+    },
+
     // ============================================
     // PLAYLIST OPERATIONS
     // ============================================
@@ -189,16 +432,19 @@ const API = {
      * Create a new playlist
      * @param {string} name - Playlist name
      * @param {string} description - Optional description
+     * @param {Array<string>} trackIds - Optional tracks to start with
+     * @param {Object|null} smart - Rules for a smart playlist
+     *   ({ match, rules: [{ field, operator, value }], sort, limit })
      * @returns {Promise<Object>} Created playlist object
      */
-    async createPlaylist(name, description = '') {
+    async createPlaylist(name, description = '', trackIds = [], smart = null) {
         try {
             const response = await fetch(`${this.baseURL}/playlists`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ name, description })
+                body: JSON.stringify({ name, description, trackIds, smart })
             });
             
             const data = await response.json();
@@ -217,7 +463,7 @@ const API = {
     /**
      * Update playlist info
      * @param {string} playlistId - ID of playlist
-     * @param {Object} updates - Fields to update (name, description)
+     * @param {Object} updates - Fields to update (name, description, smart)
      * @returns {Promise<Object>} Updated playlist object
      */
     async updatePlaylist(playlistId, updates) {
@@ -297,7 +543,37 @@ const API = {
     },
 
     /**
-     * Remove a track from a playlist
+     * Add tracks to several playlists in one request
+     * (tracks a playlist already holds are skipped)
+     * @param {Array<string>} playlistIds - IDs of playlists
+     * @param {Array<string>} trackIds - IDs of tracks to add
+     * @returns {Promise<Object>} { message, results: [{ playlist, added }] }
+     */
+    async addTracksToPlaylists(playlistIds, trackIds) {
+        try {
+            const response = await fetch(`${this.baseURL}/playlists/bulk/tracks`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ playlistIds, trackIds })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to add tracks to playlists');
+            }
+            
+            return data;
+        } catch (error) {
+            console.error('Error adding tracks to playlists:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Remove a track from a playlist (every time it appears)
      * @param {string} playlistId - ID of playlist
      * @param {string} trackId - ID of track to remove
      * @returns {Promise<Object>} Updated playlist object
@@ -319,5 +595,470 @@ const API = {
             console.error('Error removing track from playlist:', error);
             throw error;
         }
+    },
+
+    /**
+     * Move one playlist entry
+     * @param {string} playlistId - ID of playlist
+     * @param {string} entryId - ID of the entry (not the track: a track can appear twice)
+     * @param {number} position - New 0-based position
+     * @returns {Promise<Object>} Updated playlist object
+     */
+    async movePlaylistEntry(playlistId, entryId, position) {
+        try {
+            const response = await fetch(`${this.baseURL}/playlists/${playlistId}/entries/${entryId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ position })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to move track');
+            }
+            
+            return data.playlist;
+        } catch (error) {
+            console.error('Error moving playlist entry:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Replace the order of a playlist
+     * @param {string} playlistId - ID of playlist
+     * @param {Array<string>} entryIds - Every entry ID, once, in the new order
+     * @returns {Promise<Object>} Updated playlist object
+     */
+    async reorderPlaylist(playlistId, entryIds) {
+        try {
+            const response = await fetch(`${this.baseURL}/playlists/${playlistId}/entries`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ entryIds })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to reorder playlist');
+            }
+            
+            return data.playlist;
+        } catch (error) {
+            console.error('Error reordering playlist:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * URL that downloads a playlist file
+     * @param {string} playlistId - ID of playlist
+     * @param {string} format - 'm3u', 'm3u8', 'pls' or 'xspf'
+     * @param {boolean} fileNames - Write file names instead of stream URLs
+     * @returns {string}
+     */
+    getPlaylistExportUrl(playlistId, format, fileNames = false) {
+        const params = new URLSearchParams({ format });
+        if (fileNames) params.set('location', 'file');
+        return `${this.baseURL}/playlists/${encodeURIComponent(playlistId)}/export?${params}`;
+    },
+
+    /**
+     * Import a playlist file (M3U, M3U8, PLS or XSPF)
+     * @param {File} file - Playlist file
+     * @param {string|null} playlistId - Playlist to append to, or null for a new playlist
+     * @returns {Promise<Object>} { playlist, matched, unmatched } where unmatched
+     *   lists the entries no library track was found for
+     */
+    async importPlaylist(file, playlistId = null) {
+        try {
+            const formData = new FormData();
+            formData.append('playlist', file);
+            
+            const url = playlistId
+                ? `${this.baseURL}/playlists/${playlistId}/import`
+                : `${this.baseURL}/playlists/import`;
+            const response = await fetch(url, {
+                method: 'POST',
+                body: formData
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                const error = new Error(data.error || data.message || 'Failed to import playlist');
+                error.unmatched = data.unmatched || [];
+                throw error;
+            }
+            
+            return data;
+        } catch (error) {
+            console.error('Error importing playlist:', error);
+            throw error;
+        }
+    },
+
+    // ============================================
+    // PLAYBACK SESSION
+    // ============================================
+
+    /**
+     * Fetch the playback session saved on the server
+     * @returns {Promise<Object|null>} Session with populated tracks, or null if none was saved
+     */
+    async getSession() {
+        try {
+            const response = await fetch(`${this.baseURL}/session`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to fetch session');
+            }
+            
+            return data.session;
+        } catch (error) {
+            console.error('Error fetching session:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Save the playback session on the server
+     * @param {Object} session - Session from MusicPlayer.getSession
+     * @param {boolean} keepalive - Let the request outlive the page (on unload)
+     * @returns {Promise<Object>} Stored session
+     */
+    async saveSession(session, keepalive = false) {
+        try {
+            const response = await fetch(`${this.baseURL}/session`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(session),
+                keepalive
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to save session');
+            }
+            
+            return data.session;
+        } catch (error) {
+            console.error('Error saving session:', error);
+            throw error;
+        }
+    },
+
+    // ============================================
+    // PLAY HISTORY
+    // ============================================
+
+    /**
+     * Fetch one page of the play history, newest first
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Entries per page
+     * @returns {Promise<Object>} { history, page, limit, total, totalPages };
+     *   each entry has the full track (null if it was deleted)
+     */
+    async getHistory(page = 1, limit = 50) {
+        try {
+            const params = new URLSearchParams({ page, limit });
+            const response = await fetch(`${this.baseURL}/history?${params}`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to fetch history');
+            }
+            
+            return data;
+        } catch (error) {
+            console.error('Error fetching history:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a play
+     * @param {string} trackId - ID of the track
+     * @param {number} listened - Seconds listened so far
+     * @returns {Promise<Object>} { entry, track } - the history entry and the
+     *   track with its updated playCount and lastPlayed
+     */
+    async logPlay(trackId, listened) {
+        try {
+            const response = await fetch(`${this.baseURL}/history`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ trackId, listened })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to log play');
+            }
+            
+            return { entry: data.entry, track: data.track };
+        } catch (error) {
+            console.error('Error logging play:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record how long a logged play was listened to in the end
+     * @param {string} entryId - History entry returned by logPlay
+     * @param {number} listened - Seconds actually listened
+     * @param {boolean} keepalive - Let the request outlive the page (on unload)
+     * @returns {Promise<Object>} Updated history entry
+     */
+    async updatePlay(entryId, listened, keepalive = false) {
+        try {
+            const response = await fetch(`${this.baseURL}/history/${entryId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ listened }),
+                keepalive
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to update play');
+            }
+            
+            return data.entry;
+        } catch (error) {
+            console.error('Error updating play:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Record a skip (the track was left before it counted as played)
+     * @param {string} trackId - ID of the track
+     * @returns {Promise<Object>} Track with its updated skipCount
+     */
+    async logSkip(trackId) {
+        try {
+            const response = await fetch(`${this.baseURL}/history/skips`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ trackId })
+            });
+            
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to log skip');
+            }
+            
+            return data.track;
+        } catch (error) {
+            console.error('Error logging skip:', error);
+            throw error;
+        }
+    },
+
+    // ============================================
+    // STATISTICS
+    // ============================================
+
+    /**
+     * Fetch listening statistics
+     * @param {string} period - 'week', 'month', 'year' or 'all'
+     * @returns {Promise<Object>} { totals, topTracks, topArtists, topAlbums, topGenres,
+     *   byHour, byWeekday, libraryGrowth } (hours and weekdays in local time)
+     */
+    async getStats(period = 'all') {
+        try {
+            const params = new URLSearchParams({ period, tzOffset: new Date().getTimezoneOffset() });
+            const response = await fetch(`${this.baseURL}/stats?${params}`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to fetch stats');
+            }
+            
+            return data.stats;
+        } catch (error) {
+            console.error('Error fetching stats:', error);
+            throw error;
+        }
+    },
+
+    // ============================================
+    // CHUNKED UPLOAD HELPERS
+    // ============================================
+
+    // localStorage key mapping files to their unfinished upload sessions
+    pendingUploadsKey: 'pendingUploads',
+
+    // Attempts per chunk before giving up (network errors and 5xx only)
+    chunkRetries: 3,
+
+    /**
+     * Identify a file across page reloads
+     * @param {File} file - File being uploaded
+     * @returns {string} Key for the pending uploads map
+     */
+    uploadKey(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
+    },
+
+    /**
+     * Unfinished uploads saved by earlier page loads
+     * @returns {Object} Map of file key -> upload session ID
+     */
+    getPendingUploads() {
+        try {
+            return JSON.parse(localStorage.getItem(this.pendingUploadsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    /**
+     * Remember the upload session of a file so it can be resumed
+     * @param {File} file - File being uploaded
+     * @param {string} uploadId - Upload session ID
+     */
+    rememberUpload(file, uploadId) {
+        const pending = this.getPendingUploads();
+        pending[this.uploadKey(file)] = uploadId;
+        localStorage.setItem(this.pendingUploadsKey, JSON.stringify(pending));
+    },
+
+    /**
+     * Drop the saved upload session of a file
+     * @param {File} file - File that finished uploading
+     */
+    forgetUpload(file) {
+        const pending = this.getPendingUploads();
+        delete pending[this.uploadKey(file)];
+        localStorage.setItem(this.pendingUploadsKey, JSON.stringify(pending));
+    },
+
+    /**
+     * Resume the unfinished upload session for a file, or start a new one
+     * @param {File} file - File to upload
+     * @returns {Promise<Object>} Session: { uploadId, chunkSize, totalChunks, received }
+     */
+    async startUpload(file) {
+        const uploadId = this.getPendingUploads()[this.uploadKey(file)];
+        
+        if (uploadId) {
+            const response = await fetch(`${this.baseURL}/tracks/uploads/${encodeURIComponent(uploadId)}`);
+            const data = await response.json();
+            
+            if (data.success && data.upload.size === file.size) {
+                return data.upload;
+            }
+            // Expired or unknown: start over
+            this.forgetUpload(file);
+        }
+        
+        const response = await fetch(`${this.baseURL}/tracks/uploads`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ filename: file.name, size: file.size })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to start upload');
+        }
+        
+        this.rememberUpload(file, data.upload.uploadId);
+        return data.upload;
+    },
+
+    /**
+     * Send one chunk, retrying on network errors
+     * @param {string} uploadId - Upload session ID
+     * @param {number} index - Chunk index
+     * @param {Blob} chunk - Chunk bytes
+     * @param {Function} onProgress - Called with the bytes of this chunk sent so far
+     */
+    async uploadChunk(uploadId, index, chunk, onProgress) {
+        const url = `${this.baseURL}/tracks/uploads/${encodeURIComponent(uploadId)}/chunks/${index}`;
+        
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const { status, data } = await this.sendWithProgress('PUT', url, chunk, onProgress);
+                if (data.success) return;
+                
+                const error = new Error(data.error || 'Failed to upload chunk');
+                error.retryable = status >= 500;
+                throw error;
+            } catch (error) {
+                if (!error.retryable || attempt >= this.chunkRetries) throw error;
+                // Back off a little before trying again: 1s, 2s, 4s...
+                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
+            }
+        }
+    },
+
+    /**
+     * Send a request with upload progress events
+     * fetch() cannot report upload progress, so this uses XMLHttpRequest
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {Blob|FormData} body - Request body
+     * @param {Function} onProgress - Optional, called with (loaded, total)
+     * @returns {Promise<Object>} { status, data } with the parsed JSON response
+     * @throws {Error} With error.retryable when the connection failed
+     */
+    sendWithProgress(method, url, body, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(method, url);
+            
+            if (body instanceof Blob) {
+                xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            }
+            
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded, e.total);
+                });
+            }
+            
+            xhr.addEventListener('load', () => {
+                try {
+                    resolve({ status: xhr.status, data: JSON.parse(xhr.responseText) });
+                } catch (error) {
+                    const parseError = new Error(`Unexpected response (HTTP ${xhr.status})`);
+                    parseError.retryable = xhr.status >= 500;
+                    reject(parseError);
+                }
+            });
+            
+            xhr.addEventListener('error', () => {
+                const error = new Error('Network error during upload');
+                error.retryable = true;
+                reject(error);
+            });
+            
+            xhr.send(body);
+        });
     }
 };
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * EQUALIZER
+ * 10-band equalizer built on a chain of Web Audio BiquadFilterNodes
+ * (low shelf, eight peaking bands, high shelf)
+ * Presets come from three places: the built-in list, presets saved by
+ * the user, and optionally one picked from the playing track's genre
+ */
+
+// Band centre frequencies (Hz)
+const EQ_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_MAX_GAIN = 12; // dB, both ways
+const EQ_Q = 1.4;       // About one octave wide, so neighbouring bands blend
+
+// Gains (dB) for each band
+const EQ_PRESETS = {
+    'Flat': [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    'Bass Boost': [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    'Treble Boost': [0, 0, 0, 0, 0, 1, 2, 4, 5, 6],
+    'Vocal': [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+    'Rock': [5, 4, 3, 1, -1, -1, 1, 3, 4, 5],
+    'Pop': [-1, 0, 2, 3, 4, 3, 1, 0, -1, -1],
+    'Jazz': [3, 2, 1, 2, -1, -1, 0, 1, 2, 3],
+    'Classical': [4, 3, 2, 1, -1, -1, 0, 2, 3, 4],
+    'Electronic': [5, 4, 1, 0, -2, 1, 0, 1, 4, 5],
+    'Hip-Hop': [5, 4, 1, 2, -1, -1, 1, -1, 2, 3],
+    'Acoustic': [3, 3, 2, 1, 1, 1, 2, 3, 2, 1]
+};
+
+// Genre keywords -> built-in preset, checked in order
+const EQ_GENRE_PRESETS = [
+    [/hip.?hop|rap|trap|r&b|rnb/, 'Hip-Hop'],
+    [/electro|dance|house|techno|trance|edm|dubstep|drum.?(n|and).?bass/, 'Electronic'],
+    [/rock|metal|punk|grunge/, 'Rock'],
+    [/jazz|blues|swing|soul/, 'Jazz'],
+    [/classical|orchestra|baroque|opera|symphon/, 'Classical'],
+    [/acoustic|folk|country|singer.?songwriter/, 'Acoustic'],
+    [/pop/, 'Pop'],
+    [/spoken|podcast|audiobook|speech/, 'Vocal']
+];
+
+class Equalizer {
+    constructor() {
+        this.settings = this.loadSettings();        // { enabled, preset, gains, autoGenre }
+        this.customPresets = this.loadCustomPresets(); // { name: gains }
+        this.genrePreset = null;                    // Preset picked for the current track's genre
+        this.filters = [];
+        this.context = null;
+    }
+
+    // ============================================
+    // AUDIO GRAPH
+    // ============================================
+
+    /**
+     * Build the filter chain between two nodes
+     * @param {AudioContext} context - Player's audio context
+     * @param {AudioNode} input - Node feeding the equalizer
+     * @param {AudioNode} output - Node the equalizer feeds
+     */
+    connect(context, input, output) {
+        this.context = context;
+        this.filters = EQ_BANDS.map((frequency, index) => {
+            const filter = context.createBiquadFilter();
+            if (index === 0) {
+                filter.type = 'lowshelf';
+            } else if (index === EQ_BANDS.length - 1) {
+                filter.type = 'highshelf';
+            } else {
+                filter.type = 'peaking';
+                filter.Q.value = EQ_Q;
+            }
+            filter.frequency.value = frequency;
+            return filter;
+        });
+
+        let previous = input;
+        this.filters.forEach(filter => {
+            previous.connect(filter);
+            previous = filter;
+        });
+        previous.connect(output);
+
+        this.apply(true);
+    }
+
+    /**
+     * Gains currently in effect: the genre preset when one was picked,
+     * otherwise the user's own curve
+     * @returns {Array<number>} dB per band
+     */
+    getActiveGains() {
+        if (this.genrePreset) return this.getPresetGains(this.genrePreset);
+        return this.settings.gains;
+    }
+
+    /**
+     * Push the active gains to the filters
+     * @param {boolean} immediate - Skip the short ramp (first setup)
+     */
+    apply(immediate = false) {
+        if (!this.context) return;
+
+        const gains = this.settings.enabled ? this.getActiveGains() : EQ_BANDS.map(() => 0);
+        const now = this.context.currentTime;
+        this.filters.forEach((filter, index) => {
+            filter.gain.cancelScheduledValues(now);
+            if (immediate) {
+                filter.gain.setValueAtTime(gains[index], now);
+            } else {
+                filter.gain.setTargetAtTime(gains[index], now, 0.03);
+            }
+        });
+    }
+
+    // ============================================
+    // PRESETS
+    // ============================================
+
+    getPresetNames() {
+        return {
+            builtIn: Object.keys(EQ_PRESETS),
+            custom: Object.keys(this.customPresets).sort((a, b) => a.localeCompare(b))
+        };
+    }
+
+    /**
+     * @param {string} name - Preset name (user presets win over built-in ones)
+     * @returns {Array<number>|null} dB per band
+     */
+    getPresetGains(name) {
+        const gains = this.customPresets[name] || EQ_PRESETS[name];
+        return gains ? [...gains] : null;
+    }
+
+    isCustomPreset(name) {
+        return Object.prototype.hasOwnProperty.call(this.customPresets, name);
+    }
+
+    /**
+     * Switch to a preset
+     * @param {string} name - Preset name
+     */
+    selectPreset(name) {
+        const gains = this.getPresetGains(name);
+        if (!gains) return;
+
+        this.settings.preset = name;
+        this.settings.gains = gains;
+        this.genrePreset = null;
+        this.saveSettings();
+        this.apply();
+    }
+
+    /**
+     * Change one band; the curve no longer matches a preset
+     * @param {number} index - Band index
+     * @param {number} gain - dB, clamped to +/- EQ_MAX_GAIN
+     */
+    setBandGain(index, gain) {
+        // Editing while a genre preset plays starts from what is heard
+        this.settings.gains = [...this.getActiveGains()];
+        this.settings.gains[index] = Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, gain));
+        this.settings.preset = null;
+        this.genrePreset = null;
+        this.saveSettings();
+        this.apply();
+    }
+
+    /**
+     * Save the current curve as a user preset
+     * @param {string} name - Preset name (overwrites a user preset with the same name)
+     * @returns {boolean} false if the name is empty or taken by a built-in preset
+     */
+    savePreset(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed || EQ_PRESETS[trimmed]) return false;
+
+        this.customPresets[trimmed] = [...this.getActiveGains()];
+        localStorage.setItem('eqCustomPresets', JSON.stringify(this.customPresets));
+        this.selectPreset(trimmed);
+        return true;
+    }
+
+    deletePreset(name) {
+        if (!this.isCustomPreset(name)) return;
+
+        delete this.customPresets[name];
+        localStorage.setItem('eqCustomPresets', JSON.stringify(this.customPresets));
+        if (this.settings.preset === name) {
+            this.settings.preset = null;
+            this.saveSettings();
+        }
+    }
+
+    setEnabled(enabled) {
+        this.settings.enabled = enabled;
+        this.saveSettings();
+        this.apply();
+    }
+
+    // ============================================
+    // GENRE PRESETS
+    // ============================================
+
+    /**
+     * Preset for a genre: a user preset named like the genre,
+     * otherwise a built-in one matched by keyword
+     * @param {string} genre - Track genre
+     * @returns {string|null} Preset name
+     */
+    presetForGenre(genre) {
+        const normalized = String(genre || '').trim().toLowerCase();
+        if (!normalized || normalized === 'uncategorized') return null;
+
+        const custom = Object.keys(this.customPresets).find(name => name.toLowerCase() === normalized);
+        if (custom) return custom;
+
+        const match = EQ_GENRE_PRESETS.find(([pattern]) => pattern.test(normalized));
+        return match ? match[1] : null;
+    }
+
+    setAutoGenre(autoGenre, track = null) {
+        this.settings.autoGenre = autoGenre;
+        this.saveSettings();
+        this.updateForTrack(track);
+    }
+
+    /**
+     * Follow the genre of a newly playing track (when enabled)
+     * Tracks without a matching genre use the user's own curve
+     * @param {Object|null} track - Track that started playing
+     */
+    updateForTrack(track) {
+        this.genrePreset = this.settings.autoGenre && track ? this.presetForGenre(track.genre) : null;
+        this.apply();
+    }
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    loadSettings() {
+        const defaults = { enabled: false, preset: 'Flat', gains: [...EQ_PRESETS.Flat], autoGenre: false };
+        try {
+            const saved = { ...defaults, ...JSON.parse(localStorage.getItem('equalizer')) };
+            if (!Array.isArray(saved.gains) || saved.gains.length !== EQ_BANDS.length) {
+                saved.gains = [...EQ_PRESETS.Flat];
+            }
+            return saved;
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem('equalizer', JSON.stringify(this.settings));
+    }
+
+    loadCustomPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('eqCustomPresets')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+}
@@ -1,13 +1,41 @@
 /**
  * MUSIC PLAYER CONTROLLER
  * Manages audio playback, queue, and player UI
- * Uses HTML5 Audio API for media control
+ * Uses HTML5 Audio API for media control, routed through a
+ * Web Audio graph for loudness normalization (ReplayGain), the equalizer
+ * and the visualizer
+ * Two audio elements take turns: while one plays, the other preloads
+ * the next queue item for gapless transitions and crossfades
  */
 
+// Gapless switches are timed with a timer once the end is this close (seconds),
+// because timeupdate only fires every ~250ms
+const GAPLESS_LOOKAHEAD = 0.5;
+const MAX_CROSSFADE = 12;
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+const PLAYBACK_RATE_STEP = 0.05;
+const SLEEP_FADE_DURATION = 30; // seconds of fade-out before the sleep timer pauses
+
+// Session persistence (ms): the position is saved locally every few seconds
+// while playing; the server copy is refreshed less often
+const SESSION_SAVE_INTERVAL = 5000;
+const SESSION_SYNC_INTERVAL = 30000;
+const SESSION_SYNC_DELAY = 2000;
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+// Seconds skipped by the OS seek backward/forward buttons when they don't say
+const MEDIA_SEEK_OFFSET = 10;
+
+// A listen counts as a play after half the track or 4 minutes (same rule as the server)
+const PLAY_THRESHOLD_RATIO = 0.5;
+const PLAY_THRESHOLD_SECONDS = 240;
+
 class MusicPlayer {
     constructor() {
-        // Audio element
+        // Audio elements: the one playing and a standby one for the next track
         this.audio = document.getElementById('audioPlayer');
+        this.nextAudio = document.getElementById('audioPlayerNext');
         
         // Player state
         this.currentTrack = null;
@@ -18,6 +46,61 @@ class MusicPlayer {
         this.repeatMode = 'off'; // 'off', 'all', 'one'
         this.volume = 0.8;
         
+        // Shuffle: the queue keeps its order, tracks play in a permutation of it
+        this.shuffleOrder = [];        // Queue indexes in play order for this cycle
+        this.shufflePosition = -1;     // Position of the current track in shuffleOrder
+        this.nextShuffleOrder = null;  // Next cycle, picked early so it can be preloaded
+        
+        // Practice tools: speed, pitch preservation and A-B loop
+        this.playbackRate = this.clampPlaybackRate(parseFloat(localStorage.getItem('playbackRate')) || 1);
+        this.preservePitch = localStorage.getItem('preservePitch') !== 'false';
+        this.loop = { a: null, b: null }; // Loop points in seconds
+        this.loopTimer = null;
+        
+        // Loudness normalization (ReplayGain)
+        this.normalization = this.loadNormalizationSettings();
+        this.audioContext = null;    // Created on first play: browsers block audio before a user gesture
+        this.deckNodes = new Map();  // audio element -> { normalization, fade } gain nodes
+        this.outputNode = null;      // Both elements mix here, then go through the equalizer
+        this.equalizer = new Equalizer();
+        this.analyser = null;        // Feeds the visualizer, after the equalizer
+        
+        // Visualizer (compact strip in the player bar + now playing view)
+        this.nowPlayingVisible = false;
+        this.visualizer = new Visualizer([
+            document.getElementById('visualizerStrip'),
+            document.getElementById('nowPlayingCanvas')
+        ]);
+        
+        // Transitions between tracks
+        this.crossfade = Math.min(parseFloat(localStorage.getItem('crossfade')) || 0, MAX_CROSSFADE); // seconds, 0 = gapless
+        this.preloadedTrack = null;  // Track loaded on nextAudio
+        this.preloadedIndex = -1;    // Its index in the queue
+        this.transition = null;      // { outgoing, timer } while two tracks overlap
+        this.transitionTimer = null; // Pending gapless switch
+        
+        // Sleep timer: { mode: 'time' | 'track' | 'queue', endsAt } (endsAt only for 'time')
+        this.sleepTimer = this.loadSleepTimer();
+        this.sleepInterval = null;
+        this.sleepFading = false;
+        
+        // Queue modal drag-and-drop
+        this.draggedQueueIndex = -1;
+        
+        // Play history: { track, listened, lastTime, logged, entry, reported } for the current track
+        this.listening = null;
+        
+        // Session persistence (nothing is saved until the last session was restored)
+        this.sessionRestored = false;
+        this.sessionSavedAt = 0;
+        this.sessionSyncedAt = 0;
+        this.sessionSyncTimer = null;
+        
+        // Lyrics state
+        this.lyrics = null;          // { synced, source, lines } for current track
+        this.activeLyricIndex = -1;
+        this.lyricsVisible = false;
+        
         // UI Elements
         this.elements = {
             playPauseBtn: document.getElementById('playPauseBtn'),
@@ -34,7 +117,53 @@ class MusicPlayer {
             duration: document.getElementById('duration'),
             currentTrackTitle: document.getElementById('currentTrackTitle'),
             currentTrackArtist: document.getElementById('currentTrackArtist'),
-            queueBtn: document.getElementById('queueBtn')
+            currentTrackArtwork: document.getElementById('currentTrackArtwork'),
+            queueBtn: document.getElementById('queueBtn'),
+            queueModal: document.getElementById('queueModal'),
+            queueList: document.getElementById('queueList'),
+            queueClearBtn: document.getElementById('queueClearBtn'),
+            queueSaveBtn: document.getElementById('queueSaveBtn'),
+            lyricsBtn: document.getElementById('lyricsBtn'),
+            lyricsPanel: document.getElementById('lyricsPanel'),
+            lyricsContent: document.getElementById('lyricsContent'),
+            lyricsFileInput: document.getElementById('lyricsFileInput'),
+            closeLyricsBtn: document.getElementById('closeLyricsBtn'),
+            audioSettingsBtn: document.getElementById('audioSettingsBtn'),
+            normalizationMode: document.getElementById('normalizationMode'),
+            normalizationPreamp: document.getElementById('normalizationPreamp'),
+            normalizationPreampValue: document.getElementById('normalizationPreampValue'),
+            preventClipping: document.getElementById('preventClipping'),
+            normalizationInfo: document.getElementById('normalizationInfo'),
+            crossfadeSlider: document.getElementById('crossfadeSlider'),
+            crossfadeValue: document.getElementById('crossfadeValue'),
+            eqEnabled: document.getElementById('eqEnabled'),
+            eqPreset: document.getElementById('eqPreset'),
+            eqSavePresetBtn: document.getElementById('eqSavePresetBtn'),
+            eqDeletePresetBtn: document.getElementById('eqDeletePresetBtn'),
+            eqBands: document.getElementById('eqBands'),
+            eqAutoGenre: document.getElementById('eqAutoGenre'),
+            eqInfo: document.getElementById('eqInfo'),
+            visualizerBtn: document.getElementById('visualizerBtn'),
+            visualizerStrip: document.getElementById('visualizerStrip'),
+            nowPlayingView: document.getElementById('nowPlayingView'),
+            nowPlayingTitle: document.getElementById('nowPlayingTitle'),
+            nowPlayingArtist: document.getElementById('nowPlayingArtist'),
+            nowPlayingArtwork: document.getElementById('nowPlayingArtwork'),
+            closeNowPlayingBtn: document.getElementById('closeNowPlayingBtn'),
+            visualizerModeBtns: document.querySelectorAll('.visualizer-mode'),
+            speedSlider: document.getElementById('speedSlider'),
+            speedValue: document.getElementById('speedValue'),
+            preservePitchBtn: document.getElementById('preservePitchBtn'),
+            loopABtn: document.getElementById('loopABtn'),
+            loopBBtn: document.getElementById('loopBBtn'),
+            clearLoopBtn: document.getElementById('clearLoopBtn'),
+            loopRegion: document.getElementById('loopRegion'),
+            sleepTimerBtn: document.getElementById('sleepTimerBtn'),
+            sleepTimerStatus: document.getElementById('sleepTimerStatus'),
+            sleepTimerOptions: document.querySelectorAll('.sleep-option'),
+            sleepCustomMinutes: document.getElementById('sleepCustomMinutes'),
+            sleepCustomBtn: document.getElementById('sleepCustomBtn'),
+            sleepCancelBtn: document.getElementById('sleepCancelBtn')
         };
         
         this.initializePlayer();
@@ -48,8 +177,25 @@ class MusicPlayer {
     initializePlayer() {
         // Set initial volume
         this.audio.volume = this.volume;
+        this.nextAudio.volume = this.volume;
         this.elements.volumeSlider.value = this.volume * 100;
         
+        // Show saved normalization settings
+        this.elements.normalizationMode.value = this.normalization.mode;
+        this.elements.normalizationPreamp.value = this.normalization.preamp;
+        this.elements.preventClipping.checked = this.normalization.preventClipping;
+        this.updateNormalizationInfo();
+        this.elements.crossfadeSlider.value = this.crossfade;
+        this.updateCrossfadeLabel();
+        this.buildEqualizerBands();
+        this.renderEqualizerPresets();
+        this.renderEqualizer();
+        this.updateVisualizerModeButtons();
+        this.applyPlaybackRate();
+        this.renderLoop();
+        this.startSleepCountdown();
+        this.setupMediaSession();
+        
         // Disable controls initially
         this.updateControlsState(false);
     }
@@ -69,17 +215,136 @@ class MusicPlayer {
         // Progress bar
         this.elements.progressBar.addEventListener('input', (e) => this.seek(e.target.value / 100));
         
-        // Queue button
+        // Practice tools
+        this.elements.speedSlider.addEventListener('input', (e) => this.setPlaybackRate(parseFloat(e.target.value)));
+        this.elements.speedValue.addEventListener('click', () => this.setPlaybackRate(1));
+        this.elements.preservePitchBtn.addEventListener('click', () => this.togglePreservePitch());
+        this.elements.loopABtn.addEventListener('click', () => this.setLoopPoint('a'));
+        this.elements.loopBBtn.addEventListener('click', () => this.setLoopPoint('b'));
+        this.elements.clearLoopBtn.addEventListener('click', () => this.clearLoop());
+        
+        // Queue
         this.elements.queueBtn.addEventListener('click', () => this.showQueue());
+        this.elements.queueClearBtn.addEventListener('click', () => this.clearUpcoming());
+        this.elements.queueSaveBtn.addEventListener('click', () => this.saveQueueAsPlaylist());
+        
+        // Lyrics panel
+        this.elements.lyricsBtn.addEventListener('click', () => this.toggleLyrics());
+        this.elements.closeLyricsBtn.addEventListener('click', () => this.toggleLyrics(false));
+        this.elements.lyricsFileInput.addEventListener('change', (e) => this.attachLyricsFile(e.target.files[0]));
+        
+        // Audio settings
+        this.elements.audioSettingsBtn.addEventListener('click', () => {
+            document.getElementById('audioSettingsModal').classList.add('active');
+        });
+        this.elements.normalizationMode.addEventListener('change', (e) => this.setNormalization({ mode: e.target.value }));
+        this.elements.normalizationPreamp.addEventListener('input', (e) => this.setNormalization({ preamp: parseFloat(e.target.value) }));
+        this.elements.preventClipping.addEventListener('change', (e) => this.setNormalization({ preventClipping: e.target.checked }));
+        this.elements.crossfadeSlider.addEventListener('input', (e) => this.setCrossfade(parseFloat(e.target.value)));
+        
+        // Equalizer
+        this.elements.eqEnabled.addEventListener('change', (e) => {
+            this.equalizer.setEnabled(e.target.checked);
+            this.renderEqualizer();
+        });
+        this.elements.eqPreset.addEventListener('change', (e) => {
+            this.equalizer.selectPreset(e.target.value);
+            this.renderEqualizer();
+        });
+        this.elements.eqAutoGenre.addEventListener('change', (e) => {
+            this.equalizer.setAutoGenre(e.target.checked, this.currentTrack);
+            this.renderEqualizer();
+        });
+        this.elements.eqSavePresetBtn.addEventListener('click', () => this.saveEqualizerPreset());
+        this.elements.eqDeletePresetBtn.addEventListener('click', () => this.deleteEqualizerPreset());
+        
+        // Sleep timer
+        this.elements.sleepTimerBtn.addEventListener('click', () => {
+            document.getElementById('sleepTimerModal').classList.add('active');
+        });
+        this.elements.sleepTimerStatus.addEventListener('click', () => this.cancelSleepTimer());
+        this.elements.sleepTimerOptions.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.minutes) {
+                    this.setSleepTimer('time', parseInt(btn.dataset.minutes, 10));
+                } else {
+                    this.setSleepTimer(btn.dataset.mode);
+                }
+                closeModals();
+            });
+        });
+        this.elements.sleepCustomBtn.addEventListener('click', () => {
+            const minutes = parseInt(this.elements.sleepCustomMinutes.value, 10);
+            if (!minutes || minutes < 1) {
+                showToast('Enter a number of minutes', 'error');
+                return;
+            }
+            this.setSleepTimer('time', minutes);
+            closeModals();
+        });
+        this.elements.sleepCancelBtn.addEventListener('click', () => {
+            this.cancelSleepTimer();
+            closeModals();
+        });
+        
+        // Visualizer / now playing view
+        this.elements.visualizerBtn.addEventListener('click', () => this.toggleNowPlaying());
+        this.elements.visualizerStrip.addEventListener('click', () => this.toggleNowPlaying(true));
+        this.elements.closeNowPlayingBtn.addEventListener('click', () => this.toggleNowPlaying(false));
+        this.elements.visualizerModeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.visualizer.setMode(btn.dataset.mode);
+                this.updateVisualizerModeButtons();
+            });
+        });
         
-        // Audio events
-        this.audio.addEventListener('timeupdate', () => this.updateProgress());
-        this.audio.addEventListener('loadedmetadata', () => this.updateDuration());
-        this.audio.addEventListener('ended', () => this.handleTrackEnd());
-        this.audio.addEventListener('error', (e) => this.handleAudioError(e));
+        // Audio events (both elements; only the one playing drives the UI)
+        [this.audio, this.nextAudio].forEach(element => {
+            element.addEventListener('timeupdate', () => {
+                if (element !== this.audio) return;
+                this.updateProgress();
+                this.updateLyricsHighlight();
+                this.checkLoop();
+                this.scheduleTransition();
+                this.trackListening();
+                this.updateMediaPositionState();
+                if (Date.now() - this.sessionSavedAt >= SESSION_SAVE_INTERVAL) this.saveSession(true);
+            });
+            element.addEventListener('loadedmetadata', () => {
+                if (element !== this.audio) return;
+                this.updateDuration();
+                this.updateMediaPositionState();
+            });
+            element.addEventListener('seeking', () => {
+                if (element !== this.audio) return;
+                this.cancelScheduledTransition();
+                this.cancelLoopTimer();
+            });
+            element.addEventListener('ended', () => {
+                if (element === this.audio) this.handleTrackEnd();
+            });
+            element.addEventListener('error', (e) => {
+                if (element === this.audio) {
+                    this.handleAudioError(e);
+                } else if (element.getAttribute('src')) {
+                    // The preloaded track is broken: fall back to loading on demand
+                    console.error('Error preloading next track:', e);
+                    this.preloadedTrack = null;
+                    this.preloadedIndex = -1;
+                }
+            });
+        });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        
+        // Last chance to save the session (the request outlives the page)
+        window.addEventListener('pagehide', () => {
+            this.reportListened(this.listening, true);
+            if (!this.sessionRestored) return;
+            this.saveSession();
+            this.syncSession(true);
+        });
     }
 
     // ============================================
@@ -91,36 +356,49 @@ class MusicPlayer {
      * @param {Object} track - Track object from API
      * @param {Array} queue - Optional queue of tracks
      * @param {number} startIndex - Optional starting index in queue
+     * @param {boolean} autoplay - Start playing once loaded (false when restoring a session)
      */
-    async loadTrack(track, queue = null, startIndex = 0) {
+    async loadTrack(track, queue = null, startIndex = 0, autoplay = true) {
         try {
-            // Update queue if provided
-            if (queue) {
-                this.queue = [...queue];
-                this.currentIndex = startIndex;
+            if (queue && queue === this.queue) {
+                // Moving within the current queue (next, previous, queue modal)
+                this.setCurrentIndex(startIndex);
             } else {
-                // If no queue, create one with just this track
-                this.queue = [track];
-                this.currentIndex = 0;
+                // A new queue, or just this track if none was given
+                this.queue = queue ? [...queue] : [track];
+                this.currentIndex = queue ? startIndex : 0;
+                if (this.isShuffled) this.resetShuffleOrder();
             }
             
             this.currentTrack = track;
             
-            // Load audio
-            this.audio.src = `http://localhost:3000${track.url}`;
-            this.audio.load();
+            // A manual change interrupts any transition in progress
+            this.finishTransition(false);
+            this.cancelScheduledTransition();
+            this.clearLoop(false);
+            
+            if (this.preloadedTrack && this.preloadedTrack.id === track.id) {
+                // Already buffered on the standby element
+                this.swapAudioElements();
+                this.nextAudio.pause();
+                this.audio.currentTime = 0;
+            } else {
+                // Load audio
+                this.audio.src = API.getStreamUrl(track.id);
+                this.audio.load();
+            }
+            this.preloadedTrack = null;
+            this.preloadedIndex = -1;
+            this.applyNormalization(true);
             
             // Update UI
-            this.updateNowPlaying();
             this.updateControlsState(true);
+            this.announceTrack();
             
             // Auto-play
-            await this.play();
-            
-            // Update active track in UI (via custom event)
-            window.dispatchEvent(new CustomEvent('trackChanged', { 
-                detail: { track: this.currentTrack } 
-            }));
+            if (autoplay) await this.play();
+            this.preloadNext();
+            this.saveSession();
             
         } catch (error) {
             console.error('Error loading track:', error);
@@ -130,9 +408,16 @@ class MusicPlayer {
 
     async play() {
         try {
+            this.setupAudioGraph();
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
             await this.audio.play();
             this.isPlaying = true;
             this.updatePlayPauseButton();
+            this.updateMediaPlaybackState();
+            this.visualizer.setPlaying(true);
+            this.saveSession();
         } catch (error) {
             console.error('Error playing audio:', error);
             showToast('Error playing audio', 'error');
@@ -140,9 +425,18 @@ class MusicPlayer {
     }
 
     pause() {
+        this.finishTransition();
+        this.cancelScheduledTransition();
+        this.cancelLoopTimer();
         this.audio.pause();
         this.isPlaying = false;
+        // The fade restarts from full volume on the next countdown tick after resuming
+        if (this.sleepFading) this.resetSleepFade(true);
+        this.reportListened();
         this.updatePlayPauseButton();
+        this.updateMediaPlaybackState();
+        this.visualizer.setPlaying(false);
+        this.saveSession();
     }
 
     togglePlayPause() {
@@ -156,15 +450,18 @@ class MusicPlayer {
     async playNext() {
         if (this.queue.length === 0) return;
         
+        let index;
         if (this.isShuffled) {
-            // Random next track
-            this.currentIndex = Math.floor(Math.random() * this.queue.length);
+            // Next in the shuffle order, starting a new cycle at the end
+            index = this.shufflePosition < this.shuffleOrder.length - 1
+                ? this.shuffleOrder[this.shufflePosition + 1]
+                : this.getNextShuffleCycle()[0];
         } else {
             // Sequential next
-            this.currentIndex = (this.currentIndex + 1) % this.queue.length;
+            index = (this.currentIndex + 1) % this.queue.length;
         }
         
-        await this.loadTrack(this.queue[this.currentIndex], this.queue, this.currentIndex);
+        await this.loadTrack(this.queue[index], this.queue, index);
     }
 
     async playPrevious() {
@@ -176,14 +473,24 @@ class MusicPlayer {
             return;
         }
         
-        // Otherwise go to previous track
-        this.currentIndex = (this.currentIndex - 1 + this.queue.length) % this.queue.length;
-        await this.loadTrack(this.queue[this.currentIndex], this.queue, this.currentIndex);
+        // Otherwise go to previous track (back through the shuffle history when shuffled)
+        let index;
+        if (this.isShuffled) {
+            if (this.shufflePosition <= 0) {
+                this.audio.currentTime = 0;
+                return;
+            }
+            index = this.shuffleOrder[this.shufflePosition - 1];
+        } else {
+            index = (this.currentIndex - 1 + this.queue.length) % this.queue.length;
+        }
+        await this.loadTrack(this.queue[index], this.queue, index);
     }
 
     seek(percent) {
         if (this.audio.duration) {
             this.audio.currentTime = percent * this.audio.duration;
+            this.saveSession(true);
         }
     }
 
@@ -194,18 +501,23 @@ class MusicPlayer {
     setVolume(value) {
         this.volume = Math.max(0, Math.min(1, value));
         this.audio.volume = this.volume;
+        this.nextAudio.volume = this.volume;
         this.updateVolumeIcon();
+        this.saveSession();
     }
 
     toggleMute() {
         if (this.audio.volume > 0) {
             this.audio.volume = 0;
+            this.nextAudio.volume = 0;
             this.elements.volumeSlider.value = 0;
         } else {
             this.audio.volume = this.volume;
+            this.nextAudio.volume = this.volume;
             this.elements.volumeSlider.value = this.volume * 100;
         }
         this.updateVolumeIcon();
+        this.saveSession();
     }
 
     updateVolumeIcon() {
@@ -220,164 +532,1712 @@ class MusicPlayer {
     }
 
     // ============================================
-    // PLAYBACK MODES
+    // PLAYBACK SPEED & A-B LOOP
     // ============================================
 
-    toggleShuffle() {
-        this.isShuffled = !this.isShuffled;
-        this.elements.shuffleBtn.classList.toggle('active', this.isShuffled);
-        this.elements.shuffleBtn.title = this.isShuffled ? 'Shuffle On' : 'Shuffle Off';
-        showToast(this.isShuffled ? 'Shuffle enabled' : 'Shuffle disabled');
+    clampPlaybackRate(rate) {
+        const stepped = Math.round(rate / PLAYBACK_RATE_STEP) * PLAYBACK_RATE_STEP;
+        return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, Math.round(stepped * 100) / 100));
     }
 
-    cycleRepeatMode() {
-        const modes = ['off', 'all', 'one'];
-        const currentIdx = modes.indexOf(this.repeatMode);
-        this.repeatMode = modes[(currentIdx + 1) % modes.length];
+    /**
+     * Change the playback speed
+     * @param {number} rate - 0.5 to 2 (1 = normal speed)
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = this.clampPlaybackRate(rate);
+        localStorage.setItem('playbackRate', this.playbackRate);
+        this.cancelScheduledTransition();
+        this.cancelLoopTimer();
+        this.applyPlaybackRate();
+    }
+
+    togglePreservePitch() {
+        this.preservePitch = !this.preservePitch;
+        localStorage.setItem('preservePitch', this.preservePitch);
+        this.applyPlaybackRate();
+        showToast(this.preservePitch ? 'Pitch preserved' : 'Pitch follows speed');
+    }
+
+    // Both elements get the rate, so the preloaded track starts at the same speed
+    applyPlaybackRate() {
+        [this.audio, this.nextAudio].forEach(element => {
+            // defaultPlaybackRate survives loading a new src, playbackRate does not
+            element.defaultPlaybackRate = this.playbackRate;
+            element.playbackRate = this.playbackRate;
+            element.preservesPitch = this.preservePitch;
+            element.mozPreservesPitch = this.preservePitch;
+            element.webkitPreservesPitch = this.preservePitch;
+        });
         
-        // Update button
-        this.elements.repeatBtn.classList.toggle('active', this.repeatMode !== 'off');
+        this.elements.speedSlider.value = this.playbackRate;
+        this.elements.speedValue.textContent = `${this.playbackRate.toFixed(2)}x`;
+        this.elements.preservePitchBtn.classList.toggle('active', this.preservePitch);
+        this.updateMediaPositionState();
+    }
+
+    isLoopActive() {
+        return this.loop.a !== null && this.loop.b !== null;
+    }
+
+    /**
+     * Set a loop point at the current playback position
+     * @param {string} point - 'a' (start) or 'b' (end)
+     */
+    setLoopPoint(point) {
+        if (!this.currentTrack || !this.audio.duration) return;
         
-        // Update icon and title
-        const icons = { off: '🔁', all: '🔁', one: '🔂' };
-        const titles = { off: 'Repeat Off', all: 'Repeat All', one: 'Repeat One' };
-        this.elements.repeatBtn.querySelector('span').textContent = icons[this.repeatMode];
-        this.elements.repeatBtn.title = titles[this.repeatMode];
+        const time = this.audio.currentTime;
+        if (point === 'a') {
+            this.loop.a = time;
+            // An end before the new start makes no sense any more
+            if (this.loop.b !== null && this.loop.b <= time) this.loop.b = null;
+        } else {
+            if (this.loop.a === null) this.loop.a = 0;
+            if (time <= this.loop.a) {
+                showToast('Loop end must be after the start', 'error');
+                return;
+            }
+            this.loop.b = time;
+        }
         
-        showToast(`Repeat: ${titles[this.repeatMode]}`);
+        this.cancelLoopTimer();
+        this.cancelScheduledTransition();
+        this.renderLoop();
+        
+        if (this.isLoopActive()) {
+            showToast(`Looping ${this.formatTime(this.loop.a)} – ${this.formatTime(this.loop.b)}`);
+        }
     }
 
-    handleTrackEnd() {
-        if (this.repeatMode === 'one') {
-            // Repeat current track
-            this.audio.currentTime = 0;
-            this.play();
-        } else if (this.repeatMode === 'all' || this.currentIndex < this.queue.length - 1) {
-            // Play next track
-            this.playNext();
-        } else {
-            // Stop at end of queue
-            this.pause();
-            this.audio.currentTime = 0;
+    /**
+     * Remove the A-B loop
+     * @param {boolean} notify - Show a toast (not when changing tracks)
+     */
+    clearLoop(notify = true) {
+        const hadLoop = this.loop.a !== null || this.loop.b !== null;
+        this.loop = { a: null, b: null };
+        this.cancelLoopTimer();
+        this.renderLoop();
+        if (notify && hadLoop) showToast('Loop cleared');
+    }
+
+    /**
+     * Jump back to A once playback reaches B
+     * Called from the timeupdate event; like gapless switches, the jump
+     * is timed with a timer because timeupdate fires only every ~250ms
+     */
+    checkLoop() {
+        if (!this.isLoopActive() || !this.isPlaying) return;
+        
+        const time = this.audio.currentTime;
+        if (time >= this.loop.b) {
+            this.audio.currentTime = this.loop.a;
+            return;
+        }
+        
+        const untilEnd = (this.loop.b - time) / this.playbackRate;
+        if (untilEnd <= GAPLESS_LOOKAHEAD && !this.loopTimer) {
+            this.loopTimer = setTimeout(() => {
+                this.loopTimer = null;
+                if (this.isLoopActive()) this.audio.currentTime = this.loop.a;
+            }, untilEnd * 1000);
+        }
+    }
+
+    cancelLoopTimer() {
+        clearTimeout(this.loopTimer);
+        this.loopTimer = null;
+    }
+
+    // Loop markers and highlighted region on the progress bar
+    renderLoop() {
+        const { a, b } = this.loop;
+        const duration = this.audio.duration;
+        const region = this.elements.loopRegion;
+        
+        this.elements.loopABtn.classList.toggle('active', a !== null);
+        this.elements.loopBBtn.classList.toggle('active', b !== null);
+        this.elements.clearLoopBtn.disabled = a === null && b === null;
+        
+        if (a === null || !duration) {
+            region.hidden = true;
+            return;
         }
+        
+        const start = (a / duration) * 100;
+        const end = b === null ? start : (b / duration) * 100;
+        region.hidden = false;
+        region.classList.toggle('open', b === null);
+        region.style.left = `${start}%`;
+        region.style.width = `${end - start}%`;
     }
 
     // ============================================
-    // UI UPDATES
+    // LOUDNESS NORMALIZATION
     // ============================================
 
-    updateNowPlaying() {
-        if (this.currentTrack) {
-            this.elements.currentTrackTitle.textContent = this.currentTrack.title;
-            this.elements.currentTrackArtist.textContent = this.currentTrack.artist;
-        } else {
-            this.elements.currentTrackTitle.textContent = 'No track playing';
-            this.elements.currentTrackArtist.textContent = 'Select a track to begin';
+    /**
+     * Route both audio elements through their own gain nodes
+     * (one for the track's ReplayGain, one for crossfades), then mix
+     * them into the equalizer and the visualizer's analyser
+     * Called on play because an AudioContext needs a user gesture;
+     * without Web Audio support playback stays un-normalized and
+     * transitions are gapless only
+     */
+    setupAudioGraph() {
+        if (this.audioContext) return;
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        
+        try {
+            this.audioContext = new AudioContextClass();
+            this.outputNode = this.audioContext.createGain();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.8;
+            this.equalizer.connect(this.audioContext, this.outputNode, this.analyser);
+            this.analyser.connect(this.audioContext.destination);
+            this.visualizer.attach(this.analyser);
+            
+            [this.audio, this.nextAudio].forEach(element => {
+                const source = this.audioContext.createMediaElementSource(element);
+                const normalization = this.audioContext.createGain();
+                const fade = this.audioContext.createGain();
+                source.connect(normalization);
+                normalization.connect(fade);
+                fade.connect(this.outputNode);
+                this.deckNodes.set(element, { normalization, fade });
+            });
+            this.applyNormalization(true);
+        } catch (error) {
+            console.error('Web Audio unavailable, normalization disabled:', error);
         }
     }
 
-    updatePlayPauseButton() {
-        const icon = this.elements.playPauseBtn.querySelector('span');
-        icon.textContent = this.isPlaying ? '⏸️' : '▶️';
-        this.elements.playPauseBtn.title = this.isPlaying ? 'Pause' : 'Play';
+    /**
+     * Gain for a track under the current normalization settings
+     * Album mode falls back to the track gain (and vice versa) when a value
+     * is missing; untagged tracks play unchanged
+     * @param {Object} track - Track object
+     * @returns {Object} { gain (linear), db (applied), source }
+     *   source is 'track', 'album' or null when no ReplayGain was used
+     */
+    getNormalizationGain(track) {
+        const { mode, preamp, preventClipping } = this.normalization;
+        const replayGain = track && track.replayGain;
+        
+        if (mode === 'off' || !replayGain) {
+            return { gain: 1, db: 0, source: null };
+        }
+        
+        const useAlbum = mode === 'album' ? replayGain.albumGain !== null : replayGain.trackGain === null;
+        const source = useAlbum ? 'album' : 'track';
+        const peak = useAlbum ? (replayGain.albumPeak || replayGain.trackPeak) : (replayGain.trackPeak || replayGain.albumPeak);
+        
+        let db = (useAlbum ? replayGain.albumGain : replayGain.trackGain) + preamp;
+        let gain = Math.pow(10, db / 20);
+        
+        // Never push the loudest sample past full scale
+        if (preventClipping && peak && gain * peak > 1) {
+            gain = 1 / peak;
+            db = 20 * Math.log10(gain);
+        }
+        
+        return { gain, db, source };
     }
 
-    updateProgress() {
-        if (!this.audio.duration) return;
+    /**
+     * Set the normalization gain of the playing element for the current track
+     * @param {boolean} immediate - Jump to the new gain (new track) instead of
+     *   ramping to it (settings changed mid-song, avoids clicks)
+     */
+    applyNormalization(immediate = false) {
+        this.updateNormalizationInfo();
+        const nodes = this.deckNodes.get(this.audio);
+        if (!nodes) return;
         
-        const percent = (this.audio.currentTime / this.audio.duration) * 100;
-        this.elements.progressFill.style.width = `${percent}%`;
-        this.elements.progressBar.value = percent;
-        this.elements.currentTime.textContent = this.formatTime(this.audio.currentTime);
+        const { gain } = this.getNormalizationGain(this.currentTrack);
+        const now = this.audioContext.currentTime;
+        nodes.normalization.gain.cancelScheduledValues(now);
+        if (immediate) {
+            nodes.normalization.gain.setValueAtTime(gain, now);
+        } else {
+            nodes.normalization.gain.setTargetAtTime(gain, now, 0.05);
+        }
     }
 
-    updateDuration() {
-        if (this.audio.duration) {
-            this.elements.duration.textContent = this.formatTime(this.audio.duration);
+    /**
+     * Change normalization settings and apply them right away
+     * @param {Object} changes - Any of { mode, preamp, preventClipping }
+     */
+    setNormalization(changes) {
+        this.normalization = { ...this.normalization, ...changes };
+        localStorage.setItem('normalization', JSON.stringify(this.normalization));
+        this.applyNormalization();
+    }
+
+    loadNormalizationSettings() {
+        const defaults = { mode: 'off', preamp: 0, preventClipping: true };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('normalization')) };
+        } catch (error) {
+            return defaults;
         }
     }
 
-    updateControlsState(enabled) {
-        const buttons = [
-            this.elements.playPauseBtn,
-            this.elements.prevBtn,
-            this.elements.nextBtn,
-            this.elements.shuffleBtn,
-            this.elements.repeatBtn,
-            this.elements.progressBar
-        ];
+    updateNormalizationInfo() {
+        const { preamp } = this.normalization;
+        this.elements.normalizationPreampValue.textContent = `${preamp > 0 ? '+' : ''}${preamp} dB`;
         
-        buttons.forEach(btn => {
-            btn.disabled = !enabled;
-            btn.style.opacity = enabled ? '1' : '0.5';
-        });
+        const info = this.elements.normalizationInfo;
+        if (!this.currentTrack) {
+            info.textContent = '';
+        } else if (this.normalization.mode === 'off') {
+            info.textContent = 'Normalization is off';
+        } else if (!this.currentTrack.replayGain) {
+            info.textContent = `"${this.currentTrack.title}" has no ReplayGain tags, playing unchanged`;
+        } else {
+            const { db, source } = this.getNormalizationGain(this.currentTrack);
+            info.textContent = `"${this.currentTrack.title}": ${db > 0 ? '+' : ''}${db.toFixed(2)} dB (${source} gain)`;
+        }
     }
 
     // ============================================
-    // QUEUE MANAGEMENT
+    // TRANSITIONS (GAPLESS & CROSSFADE)
     // ============================================
 
-    showQueue() {
-        const modal = document.getElementById('queueModal');
-        const queueList = document.getElementById('queueList');
+    /**
+     * Queue index that plays automatically after the current track
+     * Follows the repeat and shuffle modes
+     * @returns {number} Index, or -1 when playback stops after this track
+     */
+    getNextIndex() {
+        if (this.queue.length === 0 || this.currentIndex === -1) return -1;
+        if (this.repeatMode === 'one') return this.currentIndex;
         
-        // Clear existing queue
-        queueList.innerHTML = '';
+        const upcoming = this.getUpcomingIndexes();
+        if (upcoming.length > 0) return upcoming[0];
+        if (this.repeatMode !== 'all') return -1;
         
-        if (this.queue.length === 0) {
-            queueList.innerHTML = '<p class="empty-state">No tracks in queue</p>';
+        // Repeat all: the next cycle starts over (reshuffled when shuffling)
+        return this.isShuffled ? this.getNextShuffleCycle()[0] : 0;
+    }
+
+    /**
+     * Load the upcoming track on the standby element so it can start instantly
+     * Called whenever the current track, queue or playback modes change
+     */
+    preloadNext() {
+        // The standby element is still fading out
+        if (this.transition) return;
+        
+        const index = this.getNextIndex();
+        const track = index === -1 ? null : this.queue[index];
+        this.preloadedIndex = index;
+        
+        if (track && this.preloadedTrack && this.preloadedTrack.id === track.id) return;
+        this.preloadedTrack = track;
+        
+        if (track) {
+            this.nextAudio.src = API.getStreamUrl(track.id);
+            this.nextAudio.load();
         } else {
-            this.queue.forEach((track, index) => {
-                const item = document.createElement('div');
-                item.className = 'queue-item';
-                if (index === this.currentIndex) {
-                    item.classList.add('playing');
-                }
-                
-                item.innerHTML = `
-                    <div class="queue-item-number">${index + 1}</div>
-                    <div style="flex: 1;">
-                        <div class="track-title">${track.title}</div>
-                        <div class="track-artist">${track.artist}</div>
-                    </div>
-                    <div class="time">${this.formatTime(track.duration || 0)}</div>
-                `;
-                
-                item.addEventListener('click', () => {
-                    this.loadTrack(track, this.queue, index);
-                    modal.classList.remove('active');
-                });
-                
-                queueList.appendChild(item);
+            this.nextAudio.removeAttribute('src');
+            this.nextAudio.load();
+        }
+    }
+
+    /**
+     * Seconds of overlap for the transition out of the current track
+     * Repeat-one loops and setups without Web Audio never crossfade
+     */
+    getCrossfadeDuration() {
+        if (this.crossfade === 0 || this.repeatMode === 'one' || this.deckNodes.size === 0) return 0;
+        return Math.min(this.crossfade, this.audio.duration / this.playbackRate / 2);
+    }
+
+    /**
+     * Start the next track when the current one is about to end
+     * Called from the timeupdate event
+     */
+    scheduleTransition() {
+        if (this.transition || this.transitionTimer || !this.preloadedTrack || !this.isPlaying) return;
+        if (this.isLoopActive() || this.sleepStopsAfterTrack()) return;
+        
+        const duration = this.audio.duration;
+        if (!duration || !isFinite(duration)) return;
+        
+        // Real seconds left, which depend on the playback speed
+        const remaining = (duration - this.audio.currentTime) / this.playbackRate;
+        const crossfade = this.getCrossfadeDuration();
+        
+        if (crossfade > 0) {
+            if (remaining <= crossfade) this.startTransition(remaining);
+        } else if (remaining <= GAPLESS_LOOKAHEAD) {
+            this.transitionTimer = setTimeout(() => {
+                this.transitionTimer = null;
+                this.startTransition(0);
+            }, Math.max(0, remaining * 1000));
+        }
+    }
+
+    cancelScheduledTransition() {
+        clearTimeout(this.transitionTimer);
+        this.transitionTimer = null;
+    }
+
+    /**
+     * Switch to the preloaded track
+     * @param {number} fadeDuration - Crossfade length in seconds (0 = gapless cut)
+     * @returns {boolean} false if no track was preloaded
+     */
+    startTransition(fadeDuration = 0) {
+        this.cancelScheduledTransition();
+        if (!this.preloadedTrack || this.transition) return false;
+        
+        const outgoing = this.audio;
+        this.swapAudioElements();
+        this.clearLoop(false);
+        this.setCurrentIndex(this.preloadedIndex);
+        this.currentTrack = this.preloadedTrack;
+        this.preloadedTrack = null;
+        this.preloadedIndex = -1;
+        
+        // The element may have played this track before (repeat one)
+        if (this.audio.currentTime > 0) this.audio.currentTime = 0;
+        this.applyNormalization(true);
+        this.play();
+        
+        this.transition = { outgoing, timer: null };
+        
+        const outgoingNodes = this.deckNodes.get(outgoing);
+        const incomingNodes = this.deckNodes.get(this.audio);
+        if (fadeDuration > 0 && outgoingNodes && incomingNodes) {
+            // Equal-power curves keep the combined loudness steady
+            const steps = 64;
+            const fadeIn = new Float32Array(steps);
+            const fadeOut = new Float32Array(steps);
+            for (let i = 0; i < steps; i++) {
+                const progress = i / (steps - 1);
+                fadeIn[i] = Math.sin(progress * Math.PI / 2);
+                fadeOut[i] = Math.cos(progress * Math.PI / 2);
+            }
+            
+            const now = this.audioContext.currentTime;
+            incomingNodes.fade.gain.cancelScheduledValues(now);
+            outgoingNodes.fade.gain.cancelScheduledValues(now);
+            incomingNodes.fade.gain.setValueCurveAtTime(fadeIn, now, fadeDuration);
+            outgoingNodes.fade.gain.setValueCurveAtTime(fadeOut, now, fadeDuration);
+            
+            this.transition.timer = setTimeout(() => this.finishTransition(), fadeDuration * 1000);
+        } else {
+            this.finishTransition();
+        }
+        
+        this.announceTrack();
+        this.saveSession();
+        return true;
+    }
+
+    /**
+     * Stop the outgoing track of a transition and reset the fades
+     * @param {boolean} preload - Preload the following track afterwards
+     */
+    finishTransition(preload = true) {
+        if (!this.transition) return;
+        
+        const { outgoing, timer } = this.transition;
+        clearTimeout(timer);
+        this.transition = null;
+        outgoing.pause();
+        
+        if (this.audioContext) {
+            const now = this.audioContext.currentTime;
+            [outgoing, this.audio].forEach(element => {
+                const nodes = this.deckNodes.get(element);
+                nodes.fade.gain.cancelScheduledValues(now);
+                nodes.fade.gain.setValueAtTime(1, now);
             });
         }
         
-        modal.classList.add('active');
+        if (preload) this.preloadNext();
+    }
+
+    swapAudioElements() {
+        [this.audio, this.nextAudio] = [this.nextAudio, this.audio];
+    }
+
+    /**
+     * Change the crossfade length
+     * @param {number} seconds - 0 for gapless, up to MAX_CROSSFADE
+     */
+    setCrossfade(seconds) {
+        this.crossfade = Math.max(0, Math.min(MAX_CROSSFADE, seconds || 0));
+        localStorage.setItem('crossfade', this.crossfade);
+        this.cancelScheduledTransition();
+        this.updateCrossfadeLabel();
+    }
+
+    updateCrossfadeLabel() {
+        this.elements.crossfadeValue.textContent = this.crossfade === 0
+            ? 'Off (gapless)'
+            : `${this.crossfade} s`;
     }
 
     // ============================================
-    // KEYBOARD SHORTCUTS
+    // EQUALIZER
     // ============================================
 
-    handleKeyboard(e) {
-        // Don't interfere with text inputs
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-            return;
-        }
+    // One vertical slider per band
+    buildEqualizerBands() {
+        const container = this.elements.eqBands;
+        container.innerHTML = '';
         
-        switch(e.key) {
-            case ' ':
-                e.preventDefault();
-                this.togglePlayPause();
-                break;
-            case 'ArrowLeft':
-                e.preventDefault();
-                this.audio.currentTime = Math.max(0, this.audio.currentTime - 5);
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                this.audio.currentTime = Math.min(this.audio.duration, this.audio.currentTime + 5);
-                break;
+        EQ_BANDS.forEach((frequency, index) => {
+            const band = document.createElement('div');
+            band.className = 'eq-band';
+            band.innerHTML = `
+                <span class="eq-gain">0</span>
+                <input 
+                    type="range" 
+                    class="eq-slider" 
+                    min="${-EQ_MAX_GAIN}" 
+                    max="${EQ_MAX_GAIN}" 
+                    step="0.5" 
+                    value="0" 
+                    aria-label="${frequency} Hz"
+                >
+                <span class="eq-frequency">${frequency >= 1000 ? `${frequency / 1000}k` : frequency}</span>
+            `;
+            band.querySelector('input').addEventListener('input', (e) => {
+                this.equalizer.setBandGain(index, parseFloat(e.target.value));
+                this.renderEqualizer();
+            });
+            container.appendChild(band);
+        });
+    }
+
+    renderEqualizerPresets() {
+        const select = this.elements.eqPreset;
+        const { builtIn, custom } = this.equalizer.getPresetNames();
+        select.innerHTML = '';
+        
+        // Shown while the bands do not match any preset
+        const manual = document.createElement('option');
+        manual.value = '';
+        manual.textContent = 'Custom';
+        manual.disabled = true;
+        select.appendChild(manual);
+        
+        [['Built-in', builtIn], ['My presets', custom]].forEach(([label, names]) => {
+            if (names.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+    }
+
+    // Sync the panel with the equalizer state
+    renderEqualizer() {
+        const { settings, genrePreset } = this.equalizer;
+        const gains = this.equalizer.getActiveGains();
+        
+        this.elements.eqEnabled.checked = settings.enabled;
+        this.elements.eqAutoGenre.checked = settings.autoGenre;
+        this.elements.eqPreset.value = genrePreset || settings.preset || '';
+        this.elements.eqDeletePresetBtn.disabled = !this.equalizer.isCustomPreset(settings.preset);
+        this.elements.eqBands.classList.toggle('disabled', !settings.enabled);
+        
+        this.elements.eqBands.querySelectorAll('.eq-band').forEach((band, index) => {
+            band.querySelector('input').value = gains[index];
+            band.querySelector('.eq-gain').textContent = `${gains[index] > 0 ? '+' : ''}${gains[index]}`;
+        });
+        
+        this.elements.eqInfo.textContent = genrePreset && this.currentTrack
+            ? `Using "${genrePreset}" for the genre "${this.currentTrack.genre}"`
+            : '';
+    }
+
+    saveEqualizerPreset() {
+        const name = prompt('Name for this equalizer preset:', this.equalizer.settings.preset || '');
+        if (name === null) return;
+        
+        if (!this.equalizer.savePreset(name)) {
+            showToast('Please choose a name that is not a built-in preset', 'error');
+            return;
+        }
+        
+        this.renderEqualizerPresets();
+        this.renderEqualizer();
+        showToast(`Preset "${name.trim()}" saved`, 'success');
+    }
+
+    deleteEqualizerPreset() {
+        const name = this.equalizer.settings.preset;
+        if (!this.equalizer.isCustomPreset(name)) return;
+        if (!confirm(`Delete the preset "${name}"?`)) return;
+        
+        this.equalizer.deletePreset(name);
+        this.renderEqualizerPresets();
+        this.renderEqualizer();
+    }
+
+    // ============================================
+    // PLAYBACK MODES
+    // ============================================
+
+    toggleShuffle() {
+        this.isShuffled = !this.isShuffled;
+        // Turning it off just goes back to the queue order from the current track
+        this.resetShuffleOrder();
+        this.updateModeButtons();
+        this.preloadNext();
+        this.saveSession();
+        showToast(this.isShuffled ? 'Shuffle enabled' : 'Shuffle disabled');
+    }
+
+    /**
+     * Queue indexes still to play in this cycle, in play order
+     * @returns {Array<number>}
+     */
+    getUpcomingIndexes() {
+        if (this.isShuffled) return this.shuffleOrder.slice(this.shufflePosition + 1);
+        return this.queue.map((track, i) => i).slice(this.currentIndex + 1);
+    }
+
+    /**
+     * Start a new shuffle cycle from the current track: it stays first,
+     * every other queue item follows once in random order
+     */
+    resetShuffleOrder() {
+        this.nextShuffleOrder = null;
+        if (!this.isShuffled) {
+            this.shuffleOrder = [];
+            this.shufflePosition = -1;
+            return;
+        }
+        
+        const others = this.queue.map((track, i) => i).filter(i => i !== this.currentIndex);
+        this.shuffleOrder = this.currentIndex === -1
+            ? this.shuffleIndexes(others)
+            : [this.currentIndex, ...this.shuffleIndexes(others)];
+        this.shufflePosition = this.currentIndex === -1 ? -1 : 0;
+    }
+
+    /**
+     * Order of the cycle after this one (repeat all or skipping past the end)
+     * Never starts with the track that just played, when there is a choice
+     * @returns {Array<number>} Queue indexes
+     */
+    getNextShuffleCycle() {
+        if (!this.nextShuffleOrder) {
+            const order = this.shuffleIndexes(this.queue.map((track, i) => i));
+            if (order.length > 1 && order[0] === this.currentIndex) {
+                [order[0], order[1]] = [order[1], order[0]];
+            }
+            this.nextShuffleOrder = order;
+        }
+        return this.nextShuffleOrder;
+    }
+
+    /**
+     * Make a queue index the current one, keeping the shuffle position in step
+     * @param {number} index - Queue index
+     */
+    setCurrentIndex(index) {
+        this.currentIndex = index;
+        if (!this.isShuffled) return;
+        
+        const order = this.shuffleOrder;
+        const position = this.shufflePosition;
+        if (order[position + 1] === index) {
+            this.shufflePosition++;
+        } else if (position > 0 && order[position - 1] === index) {
+            this.shufflePosition--;
+        } else if (position === order.length - 1 && this.nextShuffleOrder && this.nextShuffleOrder[0] === index) {
+            // New cycle
+            this.shuffleOrder = this.nextShuffleOrder;
+            this.shufflePosition = 0;
+            this.nextShuffleOrder = null;
+        } else if (order[position] !== index) {
+            // Jumped to another track: keep what already played, then the
+            // picked track, then the rest of the cycle reshuffled
+            const played = order.slice(0, position + 1).filter(i => i !== index);
+            const rest = order.filter(i => i !== index && !played.includes(i));
+            this.shuffleOrder = [...played, index, ...this.shuffleIndexes(rest)];
+            this.shufflePosition = played.length;
+        }
+    }
+
+    /**
+     * Follow a change of queue indexes in the shuffle order
+     * Call after this.currentIndex has been updated
+     * @param {Function} mapIndex - Old index -> new index (-1 when removed)
+     * @param {Array<number>} added - New queue indexes to include
+     * @param {boolean} playNext - Add them right after the current track instead of at the end
+     */
+    remapShuffleOrder(mapIndex, added = [], playNext = false) {
+        this.nextShuffleOrder = null;
+        if (!this.isShuffled) return;
+        
+        const order = this.shuffleOrder.map(mapIndex).filter(i => i !== -1);
+        const position = order.indexOf(this.currentIndex);
+        order.splice(playNext ? position + 1 : order.length, 0, ...added);
+        this.shuffleOrder = order;
+        this.shufflePosition = position;
+    }
+
+    // Fisher-Yates shuffle
+    shuffleIndexes(indexes) {
+        const shuffled = [...indexes];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    cycleRepeatMode() {
+        const currentIdx = REPEAT_MODES.indexOf(this.repeatMode);
+        this.repeatMode = REPEAT_MODES[(currentIdx + 1) % REPEAT_MODES.length];
+        
+        this.updateModeButtons();
+        this.preloadNext();
+        this.saveSession();
+        
+        showToast(`Repeat: ${this.elements.repeatBtn.title}`);
+    }
+
+    // Shuffle and repeat buttons
+    updateModeButtons() {
+        this.elements.shuffleBtn.classList.toggle('active', this.isShuffled);
+        this.elements.shuffleBtn.title = this.isShuffled ? 'Shuffle On' : 'Shuffle Off';
+        
+        // Update button
+        this.elements.repeatBtn.classList.toggle('active', this.repeatMode !== 'off');
+        
+        // Update icon and title
+        const icons = { off: '🔁', all: '🔁', one: '🔂' };
+        const titles = { off: 'Repeat Off', all: 'Repeat All', one: 'Repeat One' };
+        this.elements.repeatBtn.querySelector('span').textContent = icons[this.repeatMode];
+        this.elements.repeatBtn.title = titles[this.repeatMode];
+    }
+
+    handleTrackEnd() {
+        // The sleep timer was waiting for this track to end
+        if (this.sleepStopsAfterTrack()) {
+            this.sleep();
+            return;
+        }
+        
+        // A loop that reaches the very end of the track
+        if (this.isLoopActive()) {
+            this.audio.currentTime = this.loop.a;
+            this.play();
+            return;
+        }
+        
+        // Normally the next track has already started (gapless or crossfade);
+        // this is the fallback when it could not be preloaded in time
+        if (this.startTransition(0)) return;
+        
+        if (this.repeatMode === 'one') {
+            // Repeat current track (counts as a new listen)
+            this.audio.currentTime = 0;
+            this.startListening();
+            this.play();
+        } else if (this.repeatMode === 'all' || this.getUpcomingIndexes().length > 0) {
+            // Play next track
+            this.playNext();
+        } else {
+            // Stop at end of queue
+            this.pause();
+            this.audio.currentTime = 0;
+        }
+    }
+
+    // ============================================
+    // SLEEP TIMER
+    // ============================================
+
+    /**
+     * Pause playback later
+     * @param {string} mode - 'time' (after some minutes), 'track' (end of the
+     *   current track) or 'queue' (end of the last queue item)
+     * @param {number} minutes - Only for 'time'
+     */
+    setSleepTimer(mode, minutes = 0) {
+        if (!['time', 'track', 'queue'].includes(mode)) return;
+        
+        this.resetSleepFade();
+        this.sleepTimer = mode === 'time'
+            ? { mode, endsAt: Date.now() + minutes * 60 * 1000 }
+            : { mode };
+        this.saveSleepTimer();
+        this.cancelScheduledTransition();
+        this.startSleepCountdown();
+        
+        const labels = {
+            time: `in ${minutes} min`,
+            track: 'at the end of this track',
+            queue: 'at the end of the queue'
+        };
+        showToast(`Sleep timer: pausing ${labels[mode]}`);
+    }
+
+    cancelSleepTimer() {
+        if (!this.sleepTimer) return;
+        this.clearSleepTimer();
+        showToast('Sleep timer cancelled');
+    }
+
+    clearSleepTimer() {
+        this.sleepTimer = null;
+        this.saveSleepTimer();
+        this.resetSleepFade();
+        this.startSleepCountdown();
+    }
+
+    // Time is up: pause, then restore the volume for the next time
+    // (clearing the timer first would ramp the volume back up while still playing)
+    sleep() {
+        if (this.isPlaying) {
+            this.pause();
+            showToast('Sleep timer: playback paused');
+        }
+        this.clearSleepTimer();
+        this.resetSleepFade(true);
+    }
+
+    /**
+     * Whether playback should stop when the current track ends
+     * instead of moving on (also blocks gapless/crossfade transitions)
+     */
+    sleepStopsAfterTrack() {
+        if (!this.sleepTimer || !this.currentTrack) return false;
+        if (this.sleepTimer.mode === 'track') return true;
+        return this.sleepTimer.mode === 'queue' && this.getUpcomingIndexes().length === 0;
+    }
+
+    /**
+     * Real seconds until the sleep timer pauses playback
+     * @returns {number|null} null when not known yet (the duration is not loaded)
+     */
+    getSleepRemaining() {
+        if (!this.sleepTimer) return null;
+        if (this.sleepTimer.mode === 'time') {
+            return Math.max(0, (this.sleepTimer.endsAt - Date.now()) / 1000);
+        }
+        
+        const duration = this.audio.duration;
+        if (!this.currentTrack || !duration || !isFinite(duration)) return null;
+        const trackRemaining = (duration - this.audio.currentTime) / this.playbackRate;
+        if (this.sleepStopsAfterTrack()) return trackRemaining;
+        
+        // End of queue: estimate from the durations of the tracks still to come
+        const upcoming = this.getUpcomingIndexes()
+            .reduce((total, index) => total + (this.queue[index].duration || 0), 0);
+        return trackRemaining + upcoming / this.playbackRate;
+    }
+
+    // Run the countdown while a timer is set (also after a page reload)
+    startSleepCountdown() {
+        clearInterval(this.sleepInterval);
+        this.sleepInterval = this.sleepTimer ? setInterval(() => this.updateSleepTimer(), 1000) : null;
+        this.updateSleepTimer();
+    }
+
+    /**
+     * Refresh the countdown, start the fade-out in the last
+     * SLEEP_FADE_DURATION seconds and pause when the time is up
+     * Track and queue timers end in handleTrackEnd
+     */
+    updateSleepTimer() {
+        const status = this.elements.sleepTimerStatus;
+        this.elements.sleepTimerBtn.classList.toggle('active', !!this.sleepTimer);
+        if (!this.sleepTimer) {
+            status.hidden = true;
+            return;
+        }
+        
+        const remaining = this.getSleepRemaining();
+        const labels = { time: 'Sleep timer', track: 'Pausing after this track', queue: 'Pausing after the queue' };
+        status.hidden = false;
+        status.textContent = `🌙 ${remaining === null ? '…' : this.formatTime(Math.ceil(remaining))}`;
+        status.title = `${labels[this.sleepTimer.mode]} (click to cancel)`;
+        
+        if (this.sleepTimer.mode === 'time' && remaining <= 0) {
+            this.sleep();
+        } else if (remaining !== null && remaining <= SLEEP_FADE_DURATION && this.isPlaying) {
+            this.startSleepFade(remaining);
+        } else if (this.sleepFading && (remaining === null || remaining > SLEEP_FADE_DURATION)) {
+            // Skipped to another track or seeked back
+            this.resetSleepFade();
+        }
+    }
+
+    /**
+     * Ramp the output down to silence over the remaining time
+     * Needs the Web Audio graph; without it playback just pauses
+     * @param {number} remaining - Seconds until playback pauses
+     */
+    startSleepFade(remaining) {
+        if (this.sleepFading || !this.outputNode) return;
+        this.sleepFading = true;
+        
+        const gain = this.outputNode.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + Math.max(remaining, 0.1));
+    }
+
+    /**
+     * Bring the output back to full volume
+     * @param {boolean} immediate - Jump instead of a short ramp (after pausing)
+     */
+    resetSleepFade(immediate = false) {
+        this.sleepFading = false;
+        if (!this.outputNode) return;
+        
+        const gain = this.outputNode.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        if (immediate) {
+            gain.setValueAtTime(1, now);
+        } else {
+            gain.setTargetAtTime(1, now, 0.3);
+        }
+    }
+
+    // A timer that expired while the page was closed is dropped
+    loadSleepTimer() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('sleepTimer'));
+            if (!saved || !['time', 'track', 'queue'].includes(saved.mode)) return null;
+            if (saved.mode === 'time' && !(saved.endsAt > Date.now())) return null;
+            return saved;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSleepTimer() {
+        if (this.sleepTimer) {
+            localStorage.setItem('sleepTimer', JSON.stringify(this.sleepTimer));
+        } else {
+            localStorage.removeItem('sleepTimer');
+        }
+    }
+
+    // ============================================
+    // UI UPDATES
+    // ============================================
+
+    // Refresh everything that shows the current track
+    announceTrack() {
+        this.equalizer.updateForTrack(this.currentTrack);
+        this.renderEqualizer();
+        this.updateNowPlaying();
+        this.updateDuration();
+        this.updateMediaMetadata();
+        this.startListening();
+        this.loadLyrics(this.currentTrack);
+        
+        // Update active track in UI (via custom event)
+        window.dispatchEvent(new CustomEvent('trackChanged', { 
+            detail: { track: this.currentTrack } 
+        }));
+    }
+
+    updateNowPlaying() {
+        if (this.currentTrack) {
+            this.elements.currentTrackTitle.textContent = this.currentTrack.title;
+            this.elements.currentTrackArtist.textContent = this.currentTrack.artist;
+        } else {
+            this.elements.currentTrackTitle.textContent = 'No track playing';
+            this.elements.currentTrackArtist.textContent = 'Select a track to begin';
+        }
+        this.elements.nowPlayingTitle.textContent = this.elements.currentTrackTitle.textContent;
+        this.elements.nowPlayingArtist.textContent = this.elements.currentTrackArtist.textContent;
+        
+        // Show cover art, or fall back to the placeholder
+        this.showArtwork(this.elements.currentTrackArtwork, API.getArtworkUrl(this.currentTrack, 128));
+        this.showArtwork(this.elements.nowPlayingArtwork, API.getArtworkUrl(this.currentTrack, 512));
+    }
+
+    showArtwork(artworkImg, artworkUrl) {
+        if (artworkUrl) {
+            artworkImg.src = artworkUrl;
+            artworkImg.hidden = false;
+        } else {
+            artworkImg.removeAttribute('src');
+            artworkImg.hidden = true;
+        }
+    }
+
+    updatePlayPauseButton() {
+        const icon = this.elements.playPauseBtn.querySelector('span');
+        icon.textContent = this.isPlaying ? '⏸️' : '▶️';
+        this.elements.playPauseBtn.title = this.isPlaying ? 'Pause' : 'Play';
+    }
+
+    updateProgress() {
+        if (!this.audio.duration) return;
+        
+        const percent = (this.audio.currentTime / this.audio.duration) * 100;
+        this.elements.progressFill.style.width = `${percent}%`;
+        this.elements.progressBar.value = percent;
+        this.elements.currentTime.textContent = this.formatTime(this.audio.currentTime);
+    }
+
+    updateDuration() {
+        if (this.audio.duration) {
+            this.elements.duration.textContent = this.formatTime(this.audio.duration);
+        }
+    }
+
+    updateControlsState(enabled) {
+        const buttons = [
+            this.elements.playPauseBtn,
+            this.elements.prevBtn,
+            this.elements.nextBtn,
+            this.elements.shuffleBtn,
+            this.elements.repeatBtn,
+            this.elements.progressBar
+        ];
+        
+        buttons.forEach(btn => {
+            btn.disabled = !enabled;
+            btn.style.opacity = enabled ? '1' : '0.5';
+        });
+    }
+
+    // ============================================
+    // QUEUE MANAGEMENT
+    // ============================================
+
+    /**
+     * Current queue
+     * @returns {Object} { tracks, currentIndex } (tracks is a copy)
+     */
+    getQueue() {
+        return { tracks: [...this.queue], currentIndex: this.currentIndex };
+    }
+
+    /**
+     * Insert tracks right after the current one
+     * Starts playing them when nothing is loaded yet
+     * @param {Array<Object>} tracks - Track objects
+     */
+    insertNext(tracks) {
+        if (tracks.length === 0) return;
+        if (!this.currentTrack) {
+            this.loadTrack(tracks[0], tracks, 0);
+            return;
+        }
+        
+        const at = this.currentIndex + 1;
+        this.queue.splice(at, 0, ...tracks);
+        // Also next in the shuffle order
+        this.remapShuffleOrder(i => (i >= at ? i + tracks.length : i), tracks.map((track, k) => at + k), true);
+        this.onQueueChanged();
+    }
+
+    /**
+     * Append tracks to the end of the queue
+     * Starts playing them when nothing is loaded yet
+     * @param {Array<Object>} tracks - Track objects
+     */
+    addToQueue(tracks) {
+        if (tracks.length === 0) return;
+        if (!this.currentTrack) {
+            this.loadTrack(tracks[0], tracks, 0);
+            return;
+        }
+        
+        const start = this.queue.length;
+        this.queue.push(...tracks);
+        this.remapShuffleOrder(i => i, tracks.map((track, k) => start + k));
+        this.onQueueChanged();
+    }
+
+    /**
+     * Move a queue item; the current track keeps playing wherever it ends up
+     * @param {number} from - Index of the item to move
+     * @param {number} to - Index it should have afterwards
+     */
+    moveInQueue(from, to) {
+        if (from === to || !this.queue[from] || to < 0 || to >= this.queue.length) return;
+        
+        const [track] = this.queue.splice(from, 1);
+        this.queue.splice(to, 0, track);
+        
+        // Items between the two positions shift by one
+        const mapIndex = (i) => {
+            if (i === from) return to;
+            if (from < to && i > from && i <= to) return i - 1;
+            if (from > to && i >= to && i < from) return i + 1;
+            return i;
+        };
+        this.currentIndex = mapIndex(this.currentIndex);
+        this.remapShuffleOrder(mapIndex);
+        this.onQueueChanged();
+    }
+
+    /**
+     * Remove a queue item (not the current track)
+     * @param {number} index - Queue index
+     * @returns {boolean} false if the index is the current track or out of range
+     */
+    removeFromQueue(index) {
+        if (index === this.currentIndex || !this.queue[index]) return false;
+        
+        this.queue.splice(index, 1);
+        if (index < this.currentIndex) this.currentIndex--;
+        this.remapShuffleOrder(i => (i === index ? -1 : i > index ? i - 1 : i));
+        this.onQueueChanged();
+        return true;
+    }
+
+    // Drop everything still to play (after the current track, or its shuffle position)
+    clearUpcoming() {
+        const upcoming = this.getUpcomingIndexes();
+        if (upcoming.length === 0) return;
+        
+        const kept = this.queue.map((track, i) => i).filter(i => !upcoming.includes(i));
+        this.queue = kept.map(i => this.queue[i]);
+        this.currentIndex = kept.indexOf(this.currentIndex);
+        this.remapShuffleOrder(i => kept.indexOf(i));
+        this.onQueueChanged();
+        showToast('Upcoming tracks cleared');
+    }
+
+    async saveQueueAsPlaylist() {
+        if (this.queue.length === 0) {
+            showToast('The queue is empty', 'error');
+            return;
+        }
+        
+        const name = prompt('Name for the new playlist:');
+        if (name === null) return;
+        if (!name.trim()) {
+            showToast('Please enter a playlist name', 'error');
+            return;
+        }
+        
+        try {
+            const playlist = await API.createPlaylist(name.trim(), '', this.queue.map(track => track.id));
+            showToast(`Saved queue as "${playlist.name}"`, 'success');
+            await refreshPlaylists();
+        } catch (error) {
+            console.error('Error saving queue:', error);
+            showToast(error.message || 'Failed to save queue', 'error');
+        }
+    }
+
+    /**
+     * Keep preloading, the queue modal and other listeners in sync
+     * Other parts of the UI can listen for the 'queueChanged' window event
+     */
+    onQueueChanged() {
+        this.preloadNext();
+        this.saveSession();
+        if (this.elements.queueModal.classList.contains('active')) this.renderQueue();
+        window.dispatchEvent(new CustomEvent('queueChanged', { detail: this.getQueue() }));
+    }
+
+    showQueue() {
+        this.renderQueue();
+        this.elements.queueModal.classList.add('active');
+    }
+
+    renderQueue() {
+        const queueList = this.elements.queueList;
+        
+        // Clear existing queue
+        queueList.innerHTML = '';
+        this.elements.queueClearBtn.disabled = this.getUpcomingIndexes().length === 0;
+        this.elements.queueSaveBtn.disabled = this.queue.length === 0;
+        
+        if (this.queue.length === 0) {
+            queueList.innerHTML = '<p class="empty-state">No tracks in queue</p>';
+            return;
+        }
+        
+        this.queue.forEach((track, index) => {
+            const item = document.createElement('div');
+            item.className = 'queue-item';
+            item.draggable = true;
+            if (index === this.currentIndex) {
+                item.classList.add('playing');
+            }
+            
+            item.innerHTML = `
+                <div class="queue-item-handle" title="Drag to reorder">⠿</div>
+                <div class="queue-item-number">${index + 1}</div>
+                <div style="flex: 1;">
+                    <div class="track-title">${track.title}</div>
+                    <div class="track-artist">${track.artist}</div>
+                </div>
+                <div class="time">${this.formatTime(track.duration || 0)}</div>
+                ${index === this.currentIndex ? '' : '<button class="queue-item-remove" title="Remove from queue">✕</button>'}
+            `;
+            
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.queue-item-remove')) {
+                    this.removeFromQueue(index);
+                    return;
+                }
+                this.loadTrack(track, this.queue, index);
+                this.elements.queueModal.classList.remove('active');
+            });
+            
+            // Drag-and-drop reordering
+            item.addEventListener('dragstart', (e) => {
+                this.draggedQueueIndex = index;
+                e.dataTransfer.effectAllowed = 'move';
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => {
+                this.draggedQueueIndex = -1;
+                item.classList.remove('dragging');
+            });
+            item.addEventListener('dragover', (e) => {
+                if (this.draggedQueueIndex === -1) return;
+                e.preventDefault();
+                item.classList.add('drag-over');
+            });
+            item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                item.classList.remove('drag-over');
+                if (this.draggedQueueIndex !== -1) this.moveInQueue(this.draggedQueueIndex, index);
+            });
+            
+            queueList.appendChild(item);
+        });
+    }
+
+    // ============================================
+    // PLAY HISTORY
+    // ============================================
+
+    /**
+     * Start counting listening time for the track that just started
+     * The previous one counts as skipped if it was left before the play threshold
+     */
+    startListening() {
+        const previous = this.listening;
+        if (previous && !previous.logged && previous.listened > 0) {
+            API.logSkip(previous.track.id)
+                .then(track => { previous.track.skipCount = track.skipCount; })
+                .catch(() => {});
+        }
+        this.reportListened(previous);
+        
+        this.listening = this.currentTrack
+            ? { track: this.currentTrack, listened: 0, lastTime: this.audio.currentTime, logged: false, entry: null, reported: 0 }
+            : null;
+    }
+
+    /**
+     * Add up the time actually listened (seeking does not count)
+     * and log a play once past the threshold
+     * Called from the timeupdate event
+     */
+    trackListening() {
+        const listening = this.listening;
+        if (!listening || listening.track !== this.currentTrack) return;
+        
+        const time = this.audio.currentTime;
+        const elapsed = time - listening.lastTime;
+        listening.lastTime = time;
+        
+        // timeupdate fires every ~250ms, so larger jumps are seeks
+        if (!this.isPlaying || elapsed <= 0 || elapsed > 2) return;
+        listening.listened += elapsed;
+        
+        if (!listening.logged && listening.listened >= this.getPlayThreshold()) {
+            listening.logged = true;
+            listening.reported = Math.round(listening.listened);
+            listening.entry = API.logPlay(listening.track.id, listening.listened)
+                .then(({ entry, track }) => {
+                    // Same object as in the library, so open views see the new count
+                    listening.track.playCount = track.playCount;
+                    listening.track.lastPlayed = track.lastPlayed;
+                    return entry;
+                });
+            listening.entry.catch(() => {});
+        }
+    }
+
+    /**
+     * The play is logged at the threshold; once the track is paused, left
+     * or the page closes, store how long it was actually listened to
+     * @param {Object} listening - Listen to report (the current one by default)
+     * @param {boolean} keepalive - The page is being closed
+     */
+    reportListened(listening = this.listening, keepalive = false) {
+        if (!listening || !listening.entry) return;
+        
+        const listened = Math.round(listening.listened);
+        if (listened <= listening.reported) return;
+        listening.reported = listened;
+        listening.entry
+            .then(entry => API.updatePlay(entry.id, listened, keepalive))
+            .catch(() => {});
+    }
+
+    // Seconds of listening before the current track counts as played
+    // The library duration comes first: it is what the server checks against
+    getPlayThreshold() {
+        const duration = this.currentTrack.duration || this.audio.duration;
+        if (!duration || !isFinite(duration)) return PLAY_THRESHOLD_SECONDS;
+        return Math.min(duration * PLAY_THRESHOLD_RATIO, PLAY_THRESHOLD_SECONDS);
+    }
+
+    // ============================================
+    // SESSION PERSISTENCE
+    // ============================================
+
+    /**
+     * Everything needed to pick up playback later
+     * Tracks are stored by ID and resolved against the library on restore
+     * @returns {Object} Session (same shape as PUT /api/session)
+     */
+    getSessionState() {
+        return {
+            trackIds: this.queue.map(track => track.id),
+            currentIndex: this.currentIndex,
+            position: this.currentTrack ? Math.round(this.audio.currentTime * 10) / 10 : 0,
+            isShuffled: this.isShuffled,
+            shuffleOrder: this.shuffleOrder,
+            shufflePosition: this.shufflePosition,
+            repeatMode: this.repeatMode,
+            volume: this.volume,
+            muted: this.audio.volume === 0 && this.volume > 0,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Save the session to localStorage, and to the server shortly after
+     * @param {boolean} positionOnly - Only the position moved: the server copy
+     *   is refreshed at most every SESSION_SYNC_INTERVAL
+     */
+    saveSession(positionOnly = false) {
+        if (!this.sessionRestored) return;
+        
+        localStorage.setItem('playbackSession', JSON.stringify(this.getSessionState()));
+        this.sessionSavedAt = Date.now();
+        
+        if (positionOnly && Date.now() - this.sessionSyncedAt < SESSION_SYNC_INTERVAL) return;
+        if (!this.sessionSyncTimer) {
+            // Changes made in quick succession (e.g. dragging the volume) go out together
+            this.sessionSyncTimer = setTimeout(() => this.syncSession(), SESSION_SYNC_DELAY);
+        }
+    }
+
+    /**
+     * Send the current session to the server
+     * @param {boolean} keepalive - The page is being closed
+     */
+    syncSession(keepalive = false) {
+        clearTimeout(this.sessionSyncTimer);
+        this.sessionSyncTimer = null;
+        this.sessionSyncedAt = Date.now();
+        API.saveSession(this.getSessionState(), keepalive).catch(() => {});
+    }
+
+    loadLocalSession() {
+        try {
+            return JSON.parse(localStorage.getItem('playbackSession'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Restore the last session, paused at the saved position
+     * The newer of the local and the server copy wins, so a session
+     * from another browser can be resumed here (both are stamped by the
+     * browser that saved them, the server keeps the timestamp it is sent)
+     * @param {Array<Object>} library - All tracks, to resolve the saved IDs
+     */
+    async restoreSession(library) {
+        try {
+            let session = this.loadLocalSession();
+            const remote = await API.getSession().catch(() => null);
+            if (remote && (!session || remote.updatedAt > session.updatedAt)) {
+                session = remote;
+            }
+            if (session) await this.applySession(session, library);
+        } catch (error) {
+            console.error('Error restoring session:', error);
+        } finally {
+            this.sessionRestored = true;
+        }
+    }
+
+    /**
+     * @param {Object} session - Saved session
+     * @param {Array<Object>} library - All tracks
+     */
+    async applySession(session, library) {
+        // Modes and volume
+        this.repeatMode = REPEAT_MODES.includes(session.repeatMode) ? session.repeatMode : 'off';
+        this.isShuffled = Boolean(session.isShuffled);
+        this.updateModeButtons();
+        if (typeof session.volume === 'number') {
+            this.setVolume(session.volume);
+            this.elements.volumeSlider.value = this.volume * 100;
+        }
+        if (session.muted) this.toggleMute();
+        
+        // Tracks deleted since then drop out; indexes are mapped onto what is left
+        const byId = new Map(library.map(track => [track.id, track]));
+        const trackIds = Array.isArray(session.trackIds) ? session.trackIds : [];
+        const kept = trackIds.map((id, i) => i).filter(i => byId.has(trackIds[i]));
+        if (kept.length === 0) return;
+        
+        let index = kept.indexOf(session.currentIndex);
+        let position = Number(session.position) || 0;
+        if (index === -1) {
+            // The current track is gone: continue with the one after it
+            index = Math.max(0, kept.findIndex(i => i > session.currentIndex));
+            position = 0;
+        }
+        
+        this.queue = kept.map(i => byId.get(trackIds[i]));
+        this.currentIndex = index;
+        if (this.isShuffled) {
+            const order = (session.shuffleOrder || []).map(i => kept.indexOf(i)).filter(i => i !== -1);
+            const isPermutation = order.length === this.queue.length && new Set(order).size === order.length;
+            this.shuffleOrder = order;
+            this.shufflePosition = order.indexOf(index);
+            if (!isPermutation || this.shufflePosition === -1) this.resetShuffleOrder();
+        }
+        
+        await this.loadTrack(this.queue[index], this.queue, index, false);
+        
+        if (position > 0) {
+            const seekToSaved = () => {
+                this.audio.currentTime = Math.min(position, this.audio.duration || position);
+                this.updateProgress();
+            };
+            if (this.audio.readyState >= 1) {
+                seekToSaved();
+            } else {
+                this.audio.addEventListener('loadedmetadata', seekToSaved, { once: true });
+            }
+        }
+    }
+
+    // ============================================
+    // LYRICS
+    // ============================================
+
+    /**
+     * Fetch lyrics for a track and render them in the panel
+     * @param {Object} track - Track that just started loading
+     */
+    async loadLyrics(track) {
+        this.lyrics = null;
+        this.activeLyricIndex = -1;
+        
+        if (track.lyrics) {
+            try {
+                const lyrics = await API.getLyrics(track.id);
+                // Ignore the response if the user skipped to another track meanwhile
+                if (this.currentTrack !== track) return;
+                this.lyrics = lyrics;
+            } catch (error) {
+                console.error('Error loading lyrics:', error);
+            }
+        }
+        
+        this.renderLyrics();
+    }
+
+    renderLyrics() {
+        const content = this.elements.lyricsContent;
+        content.innerHTML = '';
+        content.scrollTop = 0;
+        content.classList.toggle('synced', Boolean(this.lyrics && this.lyrics.synced));
+        
+        if (!this.currentTrack) {
+            content.innerHTML = '<p class="empty-state">No track playing</p>';
+            return;
+        }
+        
+        if (!this.lyrics || this.lyrics.lines.length === 0) {
+            content.innerHTML = `
+                <div class="empty-state">
+                    <p>No lyrics for this track</p>
+                    <button class="btn btn-secondary" type="button">
+                        <span>📄</span> Attach .lrc file
+                    </button>
+                </div>
+            `;
+            content.querySelector('button').addEventListener('click', () => {
+                this.elements.lyricsFileInput.click();
+            });
+            return;
+        }
+        
+        this.lyrics.lines.forEach((line, index) => {
+            const item = document.createElement('p');
+            item.className = 'lyrics-line';
+            item.dataset.index = index;
+            item.textContent = line.text || '♪';
+            
+            // Click a synced line to jump to it
+            if (this.lyrics.synced) {
+                item.addEventListener('click', () => {
+                    this.audio.currentTime = line.time;
+                    this.updateLyricsHighlight();
+                });
+            }
+            
+            content.appendChild(item);
+        });
+        
+        this.updateLyricsHighlight();
+    }
+
+    /**
+     * Highlight the line being sung and keep it centred in the panel
+     * Called from the timeupdate event
+     */
+    updateLyricsHighlight() {
+        if (!this.lyrics || !this.lyrics.synced) return;
+        
+        // Binary search for the last line that has started
+        const lines = this.lyrics.lines;
+        const time = this.audio.currentTime;
+        let low = 0;
+        let high = lines.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (lines[mid].time <= time) {
+                index = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        if (index === this.activeLyricIndex) return;
+        
+        const content = this.elements.lyricsContent;
+        const previous = content.querySelector('.lyrics-line.active');
+        if (previous) previous.classList.remove('active');
+        
+        this.activeLyricIndex = index;
+        if (index === -1) return;
+        
+        const current = content.querySelector(`[data-index="${index}"]`);
+        if (!current) return;
+        current.classList.add('active');
+        
+        if (this.lyricsVisible) {
+            content.scrollTo({
+                top: current.offsetTop - content.clientHeight / 2 + current.clientHeight / 2,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    /**
+     * Show or hide the lyrics panel
+     * @param {boolean} visible - Optional explicit state
+     */
+    toggleLyrics(visible = !this.lyricsVisible) {
+        this.lyricsVisible = visible;
+        this.elements.lyricsPanel.classList.toggle('active', visible);
+        this.elements.lyricsBtn.classList.toggle('active', visible);
+        
+        if (visible) {
+            if (this.elements.lyricsContent.childElementCount === 0) {
+                this.renderLyrics();
+            }
+            // Jump straight to the current line when opening
+            this.activeLyricIndex = -1;
+            this.updateLyricsHighlight();
+        }
+    }
+
+    /**
+     * Attach an .lrc file to the current track
+     * @param {File} file - Lyrics file chosen by the user
+     */
+    async attachLyricsFile(file) {
+        this.elements.lyricsFileInput.value = '';
+        if (!file || !this.currentTrack) return;
+        
+        const track = this.currentTrack;
+        try {
+            const result = await API.updateLyrics(track.id, file);
+            track.lyrics = result.track.lyrics;
+            
+            if (this.currentTrack === track) {
+                this.lyrics = result.lyrics;
+                this.activeLyricIndex = -1;
+                this.renderLyrics();
+            }
+            showToast('Lyrics attached', 'success');
+        } catch (error) {
+            showToast(error.message || 'Failed to attach lyrics', 'error');
+        }
+    }
+
+    // ============================================
+    // VISUALIZER
+    // ============================================
+
+    /**
+     * Show or hide the full-screen now playing view
+     * @param {boolean} visible - Optional explicit state
+     */
+    toggleNowPlaying(visible = !this.nowPlayingVisible) {
+        this.nowPlayingVisible = visible;
+        this.elements.nowPlayingView.classList.toggle('active', visible);
+        this.elements.nowPlayingView.setAttribute('aria-hidden', String(!visible));
+        this.elements.visualizerBtn.classList.toggle('active', visible);
+        
+        // Draw right away so a paused track does not show an empty view
+        this.visualizer.drawFrame(!this.isPlaying);
+    }
+
+    updateVisualizerModeButtons() {
+        this.elements.visualizerModeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.visualizer.mode);
+        });
+    }
+
+    // ============================================
+    // MEDIA SESSION (MEDIA KEYS & OS OVERLAY)
+    // ============================================
+
+    // Hardware media keys, headset buttons and the OS media overlay
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        
+        const handlers = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            previoustrack: () => this.playPrevious(),
+            nexttrack: () => this.playNext(),
+            seekto: (details) => {
+                if (details.fastSeek && 'fastSeek' in this.audio) {
+                    this.audio.fastSeek(details.seekTime);
+                } else {
+                    this.audio.currentTime = details.seekTime;
+                }
+                this.updateMediaPositionState();
+            },
+            seekbackward: (details) => {
+                this.audio.currentTime = Math.max(0, this.audio.currentTime - (details.seekOffset || MEDIA_SEEK_OFFSET));
+                this.updateMediaPositionState();
+            },
+            seekforward: (details) => {
+                this.audio.currentTime = Math.min(this.audio.duration, this.audio.currentTime + (details.seekOffset || MEDIA_SEEK_OFFSET));
+                this.updateMediaPositionState();
+            }
+        };
+        
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, (details) => {
+                    if (this.currentTrack) handler(details);
+                });
+            } catch (error) {
+                // Older browsers throw for actions they don't know; skip those
+            }
+        });
+    }
+
+    // Title, artist, album and cover art shown by the OS
+    updateMediaMetadata() {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+        
+        const track = this.currentTrack;
+        if (!track) {
+            navigator.mediaSession.metadata = null;
+            return;
+        }
+        
+        const artwork = track.artwork
+            ? [128, 256, 512].map(size => ({
+                src: new URL(API.getArtworkUrl(track, size), window.location.href).href,
+                sizes: `${size}x${size}`
+            }))
+            : [];
+        
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title,
+            artist: track.artist,
+            album: track.album,
+            artwork
+        });
+    }
+
+    updateMediaPlaybackState() {
+        if (!('mediaSession' in navigator)) return;
+        navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : 'paused';
+    }
+
+    // Keeps the OS progress bar in step with the audio element
+    updateMediaPositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+        
+        const duration = this.audio.duration;
+        if (!this.currentTrack || !duration || !isFinite(duration)) return;
+        
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: this.playbackRate,
+                position: Math.min(Math.max(this.audio.currentTime, 0), duration)
+            });
+        } catch (error) {
+            // Runs on every timeupdate: a rejected state is simply skipped
+        }
+    }
+
+    // ============================================
+    // KEYBOARD SHORTCUTS
+    // ============================================
+
+    handleKeyboard(e) {
+        // Don't interfere with text inputs
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            return;
+        }
+        
+        switch(e.key) {
+            case ' ':
+                e.preventDefault();
+                this.togglePlayPause();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.audio.currentTime = Math.max(0, this.audio.currentTime - 5);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.audio.currentTime = Math.min(this.audio.duration, this.audio.currentTime + 5);
+                break;
             case 'ArrowUp':
                 e.preventDefault();
                 this.setVolume(Math.min(1, this.audio.volume + 0.1));
@@ -403,6 +2263,37 @@ class MusicPlayer {
             case 'm':
                 this.toggleMute();
                 break;
+            case 'l':
+                this.toggleLyrics();
+                break;
+            case 'v':
+                this.toggleNowPlaying();
+                break;
+            case 'Escape':
+                if (this.nowPlayingVisible) this.toggleNowPlaying(false);
+                break;
+            case ',':
+                this.setPlaybackRate(this.playbackRate - PLAYBACK_RATE_STEP);
+                break;
+            case '.':
+                this.setPlaybackRate(this.playbackRate + PLAYBACK_RATE_STEP);
+                break;
+            case '/':
+                e.preventDefault();
+                this.setPlaybackRate(1);
+                break;
+            case 'k':
+                this.togglePreservePitch();
+                break;
+            case '[':
+                this.setLoopPoint('a');
+                break;
+            case ']':
+                this.setLoopPoint('b');
+                break;
+            case '\\':
+                this.clearLoop();
+                break;
         }
     }
 
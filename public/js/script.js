@@ -12,6 +12,19 @@ const AppState = {
     playlists: [],
     currentView: 'all-tracks',
     currentPlaylist: null,
+    viewTracks: [],      // Tracks shown by the history and stats views, in display order
+    editingPlaylist: null, // Playlist open in the playlist modal (null when creating)
+    draggedEntryIndex: -1, // Playlist entry being dragged in the playlist view
+    selectedTrackIds: new Set(), // Tracks selected in the grid for bulk actions
+    selectionAnchor: -1, // Card index shift-click selects from
+    pickerTrackIds: [],  // Tracks the playlist picker adds
+    pickerChecked: new Set(), // Playlists ticked in the playlist picker
+    metadataEdit: null,  // { trackIds, cover, removeCover } while the metadata editor is open
+    coverPreviewUrl: null, // Object URL of the picked cover shown in the metadata editor
+    importTarget: null,  // Playlist a file import appends to (null: new playlist)
+    exportPlaylistId: null,
+    stats: null,         // Data behind the open stats view
+    statsPeriod: localStorage.getItem('statsPeriod') || 'month',
     searchQuery: '',
     theme: localStorage.getItem('theme') || 'light'
 };
@@ -38,6 +51,7 @@ function initializeTheme() {
     if (AppState.theme === 'dark') {
         document.body.classList.add('dark-theme');
         themeIcon.textContent = '☀️';
+        window.dispatchEvent(new CustomEvent('themeChanged', { detail: { theme: AppState.theme } }));
     }
     
     // Toggle theme on click
@@ -47,6 +61,9 @@ function initializeTheme() {
         themeIcon.textContent = isDark ? '☀️' : '🌙';
         AppState.theme = isDark ? 'dark' : 'light';
         localStorage.setItem('theme', AppState.theme);
+        
+        // Let canvas-drawn UI (visualizer) pick up the new colors
+        window.dispatchEvent(new CustomEvent('themeChanged', { detail: { theme: AppState.theme } }));
     });
 }
 
@@ -57,7 +74,7 @@ function initializeTheme() {
 function attachEventListeners() {
     // Header buttons
     document.getElementById('uploadBtn').addEventListener('click', openUploadModal);
-    document.getElementById('createPlaylistBtn').addEventListener('click', openPlaylistModal);
+    document.getElementById('createPlaylistBtn').addEventListener('click', () => openPlaylistModal());
     
     // Navigation
     document.querySelectorAll('.nav-item').forEach(item => {
@@ -97,12 +114,71 @@ function attachEventListeners() {
     setupUploadHandlers();
     
     // Playlist form
-    document.getElementById('playlistForm').addEventListener('submit', handlePlaylistCreate);
+    document.getElementById('playlistForm').addEventListener('submit', handlePlaylistSubmit);
+    document.getElementById('playlistSmart').addEventListener('change', (e) => {
+        document.getElementById('smartRules').hidden = !e.target.checked;
+    });
+    document.getElementById('smartAddRule').addEventListener('click', () => addSmartRule());
+    
+    // Playlist files
+    document.getElementById('playlistImportBtn').addEventListener('click', () => chooseImportFile(null));
+    document.getElementById('playlistImportInput').addEventListener('change', handlePlaylistImport);
+    document.querySelectorAll('.export-format').forEach(button => {
+        button.addEventListener('click', () => exportPlaylist(button.dataset.format));
+    });
+    
+    // Track selection
+    document.getElementById('selectionAddBtn').addEventListener('click', () => {
+        openPlaylistPicker(getSelectedTracks().map(track => track.id));
+    });
+    document.getElementById('selectionQueueBtn').addEventListener('click', queueSelection);
+    document.getElementById('selectionEditBtn').addEventListener('click', () => {
+        openMetadataEditor(getSelectedTracks().map(track => track.id));
+    });
+    document.getElementById('selectionDeleteBtn').addEventListener('click', deleteSelection);
+    document.getElementById('selectionClearBtn').addEventListener('click', clearSelection);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !document.querySelector('.modal.active')) clearSelection();
+    });
+    
+    // Metadata editor
+    document.getElementById('metadataForm').addEventListener('submit', handleMetadataSubmit);
+    document.getElementById('metadataCoverInput').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file || !AppState.metadataEdit) return;
+        AppState.metadataEdit.cover = file;
+        AppState.metadataEdit.removeCover = false;
+        const url = URL.createObjectURL(file);
+        showMetadataCover(url);
+        AppState.coverPreviewUrl = url;
+    });
+    document.getElementById('metadataRemoveCover').addEventListener('click', () => {
+        if (!AppState.metadataEdit) return;
+        AppState.metadataEdit.cover = null;
+        AppState.metadataEdit.removeCover = true;
+        document.getElementById('metadataCoverInput').value = '';
+        showMetadataCover('');
+    });
+    
+    // Playlist picker
+    document.getElementById('playlistPickerSearch').addEventListener('input', renderPlaylistPicker);
+    document.getElementById('pickerCreateBtn').addEventListener('click', createPickerPlaylist);
+    document.getElementById('pickerNewPlaylistName').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            createPickerPlaylist();
+        }
+    });
+    document.getElementById('playlistPickerAddBtn').addEventListener('click', handlePickerAdd);
     
     // Track change listener (from player)
     window.addEventListener('trackChanged', (e) => {
         updateActiveTrack(e.detail.track);
     });
+    
+    // Stats charts follow the theme colors and the window size
+    window.addEventListener('themeChanged', drawStatsCharts);
+    window.addEventListener('resize', debounce(drawStatsCharts, 200));
 }
 
 // ============================================
@@ -127,6 +203,9 @@ async function loadInitialData() {
         
         updateViewTitle('All Tracks', `${tracks.length} tracks`);
         
+        // Pick up where the last session left off (paused)
+        await player.restoreSession(tracks);
+        
     } catch (error) {
         console.error('Error loading data:', error);
         showError('Failed to load data. Please refresh the page.');
@@ -164,6 +243,7 @@ async function refreshPlaylists() {
 
 async function switchView(view) {
     AppState.currentView = view;
+    clearSelection();
     AppState.searchQuery = '';
     document.getElementById('searchInput').value = '';
     document.getElementById('clearSearch').classList.remove('active');
@@ -196,6 +276,18 @@ async function switchView(view) {
                 renderByArtist();
                 updateViewTitle('Browse by Artist', '');
                 break;
+                
+            case 'recently-played':
+                await renderRecentlyPlayed();
+                break;
+                
+            case 'most-played':
+                await renderMostPlayed();
+                break;
+                
+            case 'stats':
+                await renderStats();
+                break;
         }
     } finally {
         showLoading(false);
@@ -207,9 +299,15 @@ async function viewPlaylist(playlistId) {
         showLoading(true);
         
         const playlist = await API.getPlaylist(playlistId);
+        
+        // Keep the selection when the open playlist is only reloaded
+        if (AppState.currentView !== 'playlist-detail' || !AppState.currentPlaylist ||
+            AppState.currentPlaylist.id !== playlistId) {
+            clearSelection();
+        }
         AppState.currentPlaylist = playlist;
         
-        renderTracks(playlist.tracks);
+        renderPlaylistTracks(playlist);
         updateViewTitle(playlist.name, `${playlist.tracks.length} tracks`);
         
         AppState.currentView = 'playlist-detail';
@@ -221,11 +319,75 @@ async function viewPlaylist(playlistId) {
     }
 }
 
+/**
+ * Show a playlist's tracks; regular playlists can be reordered by dragging the cards
+ * @param {Object} playlist - Playlist with entries (each with its track)
+ */
+function renderPlaylistTracks(playlist) {
+    renderTracks(playlist.tracks);
+    if (playlist.smart) return;
+    
+    const cards = document.querySelectorAll('#tracksContainer .track-card');
+    cards.forEach((card, index) => {
+        card.draggable = true;
+        card.dataset.entryId = playlist.entries[index].id;
+        
+        card.addEventListener('dragstart', (e) => {
+            AppState.draggedEntryIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => {
+            AppState.draggedEntryIndex = -1;
+            card.classList.remove('dragging');
+        });
+        card.addEventListener('dragover', (e) => {
+            if (AppState.draggedEntryIndex === -1) return;
+            e.preventDefault();
+            card.classList.add('drag-over');
+        });
+        card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            card.classList.remove('drag-over');
+            if (AppState.draggedEntryIndex !== -1) movePlaylistEntry(playlist, AppState.draggedEntryIndex, index);
+        });
+    });
+}
+
+/**
+ * Move a track within the open playlist: shown right away, then saved
+ * @param {Object} playlist - Playlist being viewed
+ * @param {number} from - Current position
+ * @param {number} to - New position
+ */
+async function movePlaylistEntry(playlist, from, to) {
+    if (from === to) return;
+    
+    const [entry] = playlist.entries.splice(from, 1);
+    playlist.entries.splice(to, 0, entry);
+    playlist.tracks = playlist.entries.map(e => e.track);
+    renderPlaylistTracks(playlist);
+    
+    try {
+        await API.movePlaylistEntry(playlist.id, entry.id, to);
+        refreshPlaylists();
+    } catch (error) {
+        console.error('Error moving track:', error);
+        showToast(error.message || 'Failed to move track', 'error');
+        viewPlaylist(playlist.id);
+    }
+}
+
 // ============================================
 // RENDERING FUNCTIONS
 // ============================================
 
-function renderTracks(tracks) {
+/**
+ * @param {Array<Object>} tracks - Tracks to show
+ * @param {Function} describe - Optional extra line per card (track -> text)
+ */
+function renderTracks(tracks, describe = null) {
     const container = document.getElementById('tracksContainer');
     container.innerHTML = '';
     
@@ -243,33 +405,68 @@ function renderTracks(tracks) {
         return;
     }
     
-    tracks.forEach(track => {
-        const card = createTrackCard(track);
+    tracks.forEach((track, index) => {
+        const card = createTrackCard(track, describe ? describe(track) : '', index);
         container.appendChild(card);
     });
+    
+    updateSelection();
+}
+
+/**
+ * Markup for a card's artwork: cover image if available, emoji otherwise
+ * @param {Object} track - Track whose artwork to show (may be null)
+ * @param {string} placeholder - Emoji shown when there is no artwork
+ */
+function renderArtwork(track, placeholder) {
+    const artworkUrl = API.getArtworkUrl(track, 256);
+    if (!artworkUrl) {
+        return `<div class="track-artwork-card">${placeholder}</div>`;
+    }
+    return `
+        <div class="track-artwork-card">
+            <img class="artwork-image" src="${artworkUrl}" alt="" loading="lazy">
+        </div>
+    `;
 }
 
-function createTrackCard(track) {
+/**
+ * @param {Object} track - Track to show
+ * @param {string} detail - Optional extra line
+ * @param {number} position - Position in the rendered list (tells repeated tracks apart)
+ */
+function createTrackCard(track, detail = '', position = -1) {
     const card = document.createElement('div');
     card.className = 'track-card';
     card.dataset.trackId = track.id;
     
     card.innerHTML = `
-        <div class="track-artwork-card">🎵</div>
+        <span class="track-select" title="Select (Ctrl+click, Shift+click for a range)"></span>
+        ${renderArtwork(track, '🎵')}
         <div class="track-info">
             <div class="track-title" title="${track.title}">${track.title}</div>
             <div class="track-artist" title="${track.artist}">${track.artist}</div>
+            ${detail ? `<div class="track-detail">${detail}</div>` : ''}
         </div>
         <div class="track-actions">
-            <button onclick="playTrack('${track.id}')" title="Play">▶️</button>
+            <button onclick="playTrack('${track.id}', ${position})" title="Play">▶️</button>
+            <button onclick="playTrackNext('${track.id}')" title="Play next">⏩</button>
+            <button onclick="queueTrack('${track.id}')" title="Add to queue">📜</button>
             <button onclick="addToPlaylist('${track.id}')" title="Add to playlist">➕</button>
+            <button onclick="openMetadataEditor(['${track.id}'])" title="Edit info">✏️</button>
         </div>
     `;
     
-    // Play track on card click (but not on buttons)
+    // Play track on card click (but not on buttons); while tracks are
+    // selected, or with Ctrl/Shift held, clicks change the selection instead
     card.addEventListener('click', (e) => {
-        if (!e.target.closest('.track-actions')) {
-            playTrack(track.id);
+        if (e.target.closest('.track-actions')) return;
+        
+        if (e.ctrlKey || e.metaKey || e.shiftKey || e.target.closest('.track-select') ||
+            AppState.selectedTrackIds.size > 0) {
+            selectTrackCard(card, e.shiftKey);
+        } else {
+            playTrack(track.id, position);
         }
     });
     
@@ -304,14 +501,22 @@ function createPlaylistCard(playlist) {
     const card = document.createElement('div');
     card.className = 'track-card';
     
+    // Use the artwork of the first track that has some
+    const coverTrack = playlist.tracks
+        .map(trackId => AppState.tracks.find(t => t.id === trackId))
+        .find(track => track && track.artwork);
+    
     card.innerHTML = `
-        <div class="track-artwork-card">📋</div>
+        ${renderArtwork(coverTrack, playlist.smart ? '⚡' : '📋')}
         <div class="track-info">
             <div class="track-title">${playlist.name}</div>
-            <div class="track-artist">${playlist.tracks.length} tracks</div>
+            <div class="track-artist">${playlist.smart ? 'Smart playlist · ' : ''}${playlist.tracks.length} tracks</div>
         </div>
         <div class="track-actions">
             <button onclick="viewPlaylist('${playlist.id}')" title="View">👁️</button>
+            <button onclick="editPlaylist('${playlist.id}')" title="Edit">✏️</button>
+            ${playlist.smart ? '' : `<button onclick="chooseImportFile('${playlist.id}')" title="Import a playlist file into this one">📥</button>`}
+            <button onclick="openExportModal('${playlist.id}')" title="Export">📤</button>
             <button onclick="deletePlaylist('${playlist.id}')" title="Delete">🗑️</button>
         </div>
     `;
@@ -395,6 +600,66 @@ function renderByArtist() {
     });
 }
 
+// How many plays the Recently Played view looks back, and the Most Played list length
+const RECENT_HISTORY_SIZE = 100;
+const MOST_PLAYED_SIZE = 50;
+
+/**
+ * Tracks from the latest plays, most recent first (each track once)
+ */
+async function renderRecentlyPlayed() {
+    let history;
+    try {
+        ({ history } = await API.getHistory(1, RECENT_HISTORY_SIZE));
+    } catch (error) {
+        console.error('Error loading play history:', error);
+        updateViewTitle('Recently Played', '');
+        showError('Could not load your play history');
+        return;
+    }
+    
+    const seen = new Set();
+    const entries = history.filter(entry => entry.track && !seen.has(entry.trackId) && seen.add(entry.trackId));
+    AppState.viewTracks = entries.map(entry => AppState.tracks.find(t => t.id === entry.trackId) || entry.track);
+    
+    updateViewTitle('Recently Played', `${AppState.viewTracks.length} tracks`);
+    if (AppState.viewTracks.length === 0) {
+        renderEmptyHistory();
+        return;
+    }
+    
+    const playedAt = new Map(entries.map(entry => [entry.trackId, entry.playedAt]));
+    renderTracks(AppState.viewTracks, track => `Played ${formatRelativeTime(playedAt.get(track.id))}`);
+}
+
+async function renderMostPlayed() {
+    // Play counts change while listening
+    await refreshTracks();
+    
+    AppState.viewTracks = AppState.tracks
+        .filter(track => track.playCount > 0)
+        .sort((a, b) => b.playCount - a.playCount || (b.lastPlayed || '').localeCompare(a.lastPlayed || ''))
+        .slice(0, MOST_PLAYED_SIZE);
+    
+    updateViewTitle('Most Played', `${AppState.viewTracks.length} tracks`);
+    if (AppState.viewTracks.length === 0) {
+        renderEmptyHistory();
+        return;
+    }
+    
+    renderTracks(AppState.viewTracks, track => `${track.playCount} ${track.playCount === 1 ? 'play' : 'plays'}`);
+}
+
+function renderEmptyHistory() {
+    document.getElementById('tracksContainer').innerHTML = `
+        <div class="empty-state">
+            <div class="empty-state-icon">🕘</div>
+            <h3>Nothing played yet</h3>
+            <p>Tracks show up here once you have listened to them.</p>
+        </div>
+    `;
+}
+
 function renderPlaylistsSidebar(playlists) {
     const sidebar = document.getElementById('playlistsSidebar');
     sidebar.innerHTML = '';
@@ -407,17 +672,518 @@ function renderPlaylistsSidebar(playlists) {
     playlists.forEach(playlist => {
         const item = document.createElement('button');
         item.className = 'playlist-item';
-        item.textContent = `📋 ${playlist.name}`;
+        item.textContent = `${playlist.smart ? '⚡' : '📋'} ${playlist.name}`;
+        if (playlist.smart) item.title = 'Smart playlist';
         item.addEventListener('click', () => viewPlaylist(playlist.id));
         sidebar.appendChild(item);
     });
 }
 
+// ============================================
+// STATISTICS
+// ============================================
+
+const STATS_PERIODS = {
+    week: 'Last 7 days',
+    month: 'Last 30 days',
+    year: 'Last 12 months',
+    all: 'All time'
+};
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+async function renderStats() {
+    if (!STATS_PERIODS[AppState.statsPeriod]) AppState.statsPeriod = 'month';
+    
+    let stats;
+    try {
+        stats = await API.getStats(AppState.statsPeriod);
+    } catch (error) {
+        updateViewTitle('Listening Stats', '');
+        showError('Could not load your listening stats');
+        return;
+    }
+    
+    // The view may have changed while loading
+    if (AppState.currentView !== 'stats') return;
+    AppState.stats = stats;
+    
+    // Top tracks play as a queue, like the history views
+    AppState.viewTracks = stats.topTracks
+        .map(item => AppState.tracks.find(t => t.id === (item.track && item.track.id)))
+        .filter(Boolean);
+    
+    updateViewTitle('Listening Stats', STATS_PERIODS[stats.period]);
+    
+    const { totals } = stats;
+    const container = document.getElementById('tracksContainer');
+    container.innerHTML = `
+        <div class="stats-dashboard">
+            <div class="stats-periods">
+                ${Object.entries(STATS_PERIODS).map(([period, label]) => `
+                    <button class="stats-period ${period === stats.period ? 'active' : ''}" data-period="${period}">${label}</button>
+                `).join('')}
+            </div>
+            
+            <div class="stats-summary">
+                <div class="stats-card"><span class="stats-card-value">${formatListeningTime(totals.listeningTime)}</span><span class="stats-card-label">Listening time</span></div>
+                <div class="stats-card"><span class="stats-card-value">${totals.plays}</span><span class="stats-card-label">Plays</span></div>
+                <div class="stats-card"><span class="stats-card-value">${totals.tracks}</span><span class="stats-card-label">Different tracks</span></div>
+                <div class="stats-card"><span class="stats-card-value">${totals.libraryTracks}</span><span class="stats-card-label">Tracks in library</span></div>
+            </div>
+            
+            <div class="stats-panels">
+                ${renderTopList('Top Tracks', stats.topTracks, item => item.track ? [item.track.title, item.track.artist] : ['Deleted track', ''])}
+                ${renderTopList('Top Artists', stats.topArtists, item => [item.name, ''])}
+                ${renderTopList('Top Albums', stats.topAlbums, item => [item.name, item.artist])}
+                ${renderTopList('Top Genres', stats.topGenres, item => [item.name, ''])}
+            </div>
+            
+            <div class="stats-panels">
+                <section class="stats-panel">
+                    <h3>Time of Day</h3>
+                    <canvas id="statsHourChart" class="stats-chart"></canvas>
+                </section>
+                <section class="stats-panel">
+                    <h3>Day of Week</h3>
+                    <canvas id="statsWeekdayChart" class="stats-chart"></canvas>
+                </section>
+                <section class="stats-panel stats-panel-wide">
+                    <h3>Library Growth</h3>
+                    <canvas id="statsGrowthChart" class="stats-chart"></canvas>
+                </section>
+            </div>
+        </div>
+    `;
+    
+    container.querySelectorAll('.stats-period').forEach(button => {
+        button.addEventListener('click', () => {
+            AppState.statsPeriod = button.dataset.period;
+            localStorage.setItem('statsPeriod', AppState.statsPeriod);
+            renderStats();
+        });
+    });
+    
+    container.querySelectorAll('.stats-top-item[data-track-id]').forEach(item => {
+        item.addEventListener('click', () => playTrack(item.dataset.trackId));
+    });
+    
+    drawStatsCharts();
+}
+
+/**
+ * One "top" list as HTML, with a bar showing each entry's share
+ * @param {string} title - Panel title
+ * @param {Array<Object>} items - { plays, listeningTime, ... }
+ * @param {Function} describe - item -> [name, secondary line]
+ */
+function renderTopList(title, items, describe) {
+    if (items.length === 0) {
+        return `
+            <section class="stats-panel">
+                <h3>${title}</h3>
+                <p class="stats-empty">No plays in this period</p>
+            </section>
+        `;
+    }
+    
+    const most = items[0].plays;
+    return `
+        <section class="stats-panel">
+            <h3>${title}</h3>
+            <ol class="stats-top-list">
+                ${items.map(item => {
+                    const [name, detail] = describe(item);
+                    const trackId = item.track ? `data-track-id="${item.track.id}"` : '';
+                    return `
+                        <li class="stats-top-item" ${trackId}>
+                            <div class="stats-top-bar" style="width: ${(item.plays / most) * 100}%"></div>
+                            <div class="stats-top-name">${name}${detail ? `<span>${detail}</span>` : ''}</div>
+                            <div class="stats-top-count">${item.plays} ${item.plays === 1 ? 'play' : 'plays'}</div>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        </section>
+    `;
+}
+
+// (Re)draw the charts of the open stats view, e.g. after a theme change or resize
+function drawStatsCharts() {
+    if (AppState.currentView !== 'stats' || !AppState.stats) return;
+    
+    const { byHour, byWeekday, libraryGrowth } = AppState.stats;
+    drawBarChart(document.getElementById('statsHourChart'), byHour,
+        byHour.map((_, hour) => (hour % 6 === 0 ? `${hour}:00` : '')));
+    drawBarChart(document.getElementById('statsWeekdayChart'), byWeekday, WEEKDAY_LABELS);
+    drawLineChart(document.getElementById('statsGrowthChart'), libraryGrowth.map(month => month.total),
+        libraryGrowth.map(month => month.month));
+}
+
+/**
+ * Size a chart canvas to its displayed size (sharp on HiDPI screens)
+ * @returns {Object|null} { context, width, height, ratio, colors }, null when hidden
+ */
+function prepareChart(canvas) {
+    if (!canvas) return null;
+    
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (width === 0 || height === 0) return null;
+    
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, width, height);
+    context.font = `${11 * ratio}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    
+    const styles = getComputedStyle(document.body);
+    const colors = {
+        primary: styles.getPropertyValue('--accent-primary').trim() || '#3b82f6',
+        muted: styles.getPropertyValue('--text-secondary').trim() || '#6b7280',
+        grid: styles.getPropertyValue('--border-color').trim() || '#e5e7eb'
+    };
+    
+    return { context, width, height, ratio, colors };
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<number>} values - One bar each
+ * @param {Array<string>} labels - Label under each bar ('' for none)
+ */
+function drawBarChart(canvas, values, labels) {
+    const chart = prepareChart(canvas);
+    if (!chart) return;
+    
+    const { context, width, height, ratio, colors } = chart;
+    const labelHeight = 16 * ratio;
+    const plotHeight = height - labelHeight;
+    const max = Math.max(1, ...values);
+    const slot = width / values.length;
+    const barWidth = Math.max(1, slot * 0.7);
+    
+    values.forEach((value, index) => {
+        const x = index * slot + (slot - barWidth) / 2;
+        const barHeight = Math.max(value > 0 ? ratio : 0, (value / max) * (plotHeight - 4 * ratio));
+        context.fillStyle = colors.primary;
+        context.fillRect(x, plotHeight - barHeight, barWidth, barHeight);
+        
+        if (labels[index]) {
+            context.fillStyle = colors.muted;
+            context.fillText(labels[index], index * slot + slot / 2, plotHeight + 3 * ratio);
+        }
+    });
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<number>} values - Points, left to right
+ * @param {Array<string>} labels - Label per point; only the first and last are drawn
+ */
+function drawLineChart(canvas, values, labels) {
+    const chart = prepareChart(canvas);
+    if (!chart) return;
+    
+    const { context, width, height, ratio, colors } = chart;
+    if (values.length === 0) {
+        context.fillStyle = colors.muted;
+        context.fillText('No uploads yet', width / 2, height / 2);
+        return;
+    }
+    
+    const labelHeight = 16 * ratio;
+    const padding = 6 * ratio;
+    const plotHeight = height - labelHeight - padding;
+    const max = Math.max(1, ...values);
+    const pointX = index => (values.length === 1 ? width / 2 : padding + (index / (values.length - 1)) * (width - padding * 2));
+    const pointY = value => padding + plotHeight - (value / max) * plotHeight;
+    
+    context.strokeStyle = colors.grid;
+    context.lineWidth = ratio;
+    context.beginPath();
+    context.moveTo(0, padding + plotHeight);
+    context.lineTo(width, padding + plotHeight);
+    context.stroke();
+    
+    context.strokeStyle = colors.primary;
+    context.fillStyle = colors.primary;
+    context.lineWidth = 2 * ratio;
+    context.beginPath();
+    values.forEach((value, index) => {
+        if (index === 0) {
+            context.moveTo(pointX(index), pointY(value));
+        } else {
+            context.lineTo(pointX(index), pointY(value));
+        }
+    });
+    context.stroke();
+    values.forEach((value, index) => {
+        context.beginPath();
+        context.arc(pointX(index), pointY(value), 2.5 * ratio, 0, Math.PI * 2);
+        context.fill();
+    });
+    
+    context.fillStyle = colors.muted;
+    context.textAlign = 'left';
+    context.fillText(labels[0], 0, height - labelHeight + 3 * ratio);
+    if (values.length > 1) {
+        context.textAlign = 'right';
+        context.fillText(`${labels[labels.length - 1]} · ${values[values.length - 1]} tracks`, width, height - labelHeight + 3 * ratio);
+    }
+}
+
+// ============================================
+// TRACK SELECTION
+// ============================================
+
+/**
+ * Toggle a card's track in the selection, or select a range with Shift
+ * @param {HTMLElement} card - Clicked track card
+ * @param {boolean} range - Select every card from the last clicked one
+ */
+function selectTrackCard(card, range) {
+    const cards = [...document.querySelectorAll('#tracksContainer .track-card[data-track-id]')];
+    const index = cards.indexOf(card);
+    
+    if (range && AppState.selectionAnchor !== -1 && cards[AppState.selectionAnchor]) {
+        const [start, end] = [AppState.selectionAnchor, index].sort((a, b) => a - b);
+        cards.slice(start, end + 1).forEach(c => AppState.selectedTrackIds.add(c.dataset.trackId));
+    } else {
+        const trackId = card.dataset.trackId;
+        if (AppState.selectedTrackIds.has(trackId)) {
+            AppState.selectedTrackIds.delete(trackId);
+        } else {
+            AppState.selectedTrackIds.add(trackId);
+        }
+        AppState.selectionAnchor = index;
+    }
+    
+    updateSelection();
+}
+
+function clearSelection() {
+    AppState.selectedTrackIds.clear();
+    AppState.selectionAnchor = -1;
+    updateSelection();
+}
+
+/**
+ * Mark selected cards and show the selection toolbar while anything is selected
+ */
+function updateSelection() {
+    const count = AppState.selectedTrackIds.size;
+    
+    document.querySelectorAll('#tracksContainer .track-card[data-track-id]').forEach(card => {
+        card.classList.toggle('selected', AppState.selectedTrackIds.has(card.dataset.trackId));
+    });
+    document.getElementById('tracksContainer').classList.toggle('selecting', count > 0);
+    document.getElementById('selectionBar').hidden = count === 0;
+    document.getElementById('selectionCount').textContent = `${count} selected`;
+}
+
+/**
+ * Selected tracks in the order they are shown
+ * @returns {Array<Object>}
+ */
+function getSelectedTracks() {
+    const shown = [...document.querySelectorAll('#tracksContainer .track-card[data-track-id]')]
+        .map(card => card.dataset.trackId);
+    return [...new Set([...shown, ...AppState.selectedTrackIds])]
+        .filter(id => AppState.selectedTrackIds.has(id))
+        .map(id => AppState.tracks.find(t => t.id === id))
+        .filter(Boolean);
+}
+
+function queueSelection() {
+    const tracks = getSelectedTracks();
+    if (tracks.length === 0) return;
+    
+    player.addToQueue(tracks);
+    showToast(`Added ${tracks.length} track${tracks.length === 1 ? '' : 's'} to the queue`);
+}
+
+async function deleteSelection() {
+    const tracks = getSelectedTracks();
+    if (tracks.length === 0) return;
+    
+    const label = tracks.length === 1 ? `"${tracks[0].title}"` : `${tracks.length} tracks`;
+    if (!confirm(`Delete ${label} from your library? The audio files are deleted too.`)) {
+        return;
+    }
+    
+    try {
+        const result = await API.deleteTracks(tracks.map(track => track.id));
+        showToast(result.message, 'success');
+        clearSelection();
+        await reloadCurrentView();
+    } catch (error) {
+        console.error('Error deleting tracks:', error);
+        showToast(error.message || 'Failed to delete tracks', 'error');
+    }
+}
+
+/**
+ * Show the current view again after tracks were changed or deleted
+ */
+async function reloadCurrentView() {
+    await refreshTracks();
+    
+    if (AppState.currentView === 'playlist-detail' && AppState.currentPlaylist) {
+        await viewPlaylist(AppState.currentPlaylist.id);
+    } else if (AppState.searchQuery) {
+        await handleSearch({ target: document.getElementById('searchInput') });
+    } else if (AppState.currentView !== 'all-tracks') {
+        await switchView(AppState.currentView);
+    }
+}
+
+// ============================================
+// METADATA EDITOR
+// ============================================
+
+/**
+ * Open the metadata editor for one track or several
+ * With several tracks a field shows a value only when every track shares it;
+ * fields left as they are keep each track's own value
+ * @param {Array<string>} trackIds - Tracks to edit
+ */
+function openMetadataEditor(trackIds) {
+    const tracks = trackIds.map(id => AppState.tracks.find(t => t.id === id)).filter(Boolean);
+    if (tracks.length === 0) return;
+    
+    const single = tracks.length === 1;
+    AppState.metadataEdit = { trackIds: tracks.map(track => track.id), cover: null, removeCover: false };
+    
+    document.getElementById('metadataSummary').textContent = single
+        ? `Editing "${tracks[0].title}"`
+        : `Editing ${tracks.length} tracks. Fields showing "Mixed" keep each track's own value.`;
+    
+    // Titles and track numbers belong to a single track
+    document.querySelectorAll('#metadataForm .metadata-single').forEach(group => {
+        group.hidden = !single;
+    });
+    
+    document.querySelectorAll('#metadataForm [data-field]').forEach(input => {
+        const values = new Set(tracks.map(track => {
+            const value = track[input.dataset.field];
+            return value === null || value === undefined ? '' : String(value);
+        }));
+        input.value = values.size === 1 ? [...values][0] : '';
+        input.placeholder = values.size === 1 ? '' : 'Mixed';
+        input.dataset.initial = input.value;
+    });
+    
+    const covers = new Set(tracks.map(track => API.getArtworkUrl(track, 256) || ''));
+    showMetadataCover(covers.size === 1 ? [...covers][0] : '', covers.size > 1);
+    document.getElementById('metadataCoverInput').value = '';
+    document.getElementById('metadataWriteTags').checked = localStorage.getItem('writeTags') === 'true';
+    
+    document.getElementById('metadataModal').classList.add('active');
+}
+
+/**
+ * @param {string} url - Cover to preview ('' for none)
+ * @param {boolean} mixed - The tracks being edited have different covers
+ */
+function showMetadataCover(url, mixed = false) {
+    const preview = document.getElementById('metadataCoverPreview');
+    preview.innerHTML = '';
+    revokeCoverPreview();
+    
+    if (url) {
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = '';
+        preview.appendChild(img);
+    } else {
+        preview.textContent = mixed ? 'Mixed' : '🎵';
+    }
+}
+
+// Free the object URL of a picked cover once it is no longer shown
+function revokeCoverPreview() {
+    if (!AppState.coverPreviewUrl) return;
+    URL.revokeObjectURL(AppState.coverPreviewUrl);
+    AppState.coverPreviewUrl = null;
+}
+
+async function handleMetadataSubmit(e) {
+    e.preventDefault();
+    
+    const edit = AppState.metadataEdit;
+    if (!edit) return;
+    
+    const changes = {};
+    document.querySelectorAll('#metadataForm [data-field]').forEach(input => {
+        const value = input.value.trim();
+        if (input.closest('.form-group').hidden || value === input.dataset.initial) return;
+        
+        if (value) {
+            changes[input.dataset.field] = value;
+        } else if ('clearable' in input.dataset) {
+            // Emptied on purpose: optional fields can be cleared
+            changes[input.dataset.field] = null;
+        }
+    });
+    
+    const writeTags = document.getElementById('metadataWriteTags').checked;
+    localStorage.setItem('writeTags', writeTags);
+    
+    if (Object.keys(changes).length === 0 && !edit.cover && !edit.removeCover && !writeTags) {
+        closeModals();
+        return;
+    }
+    
+    const submitBtn = document.getElementById('metadataSubmitBtn');
+    submitBtn.disabled = true;
+    
+    try {
+        const result = await API.updateTracks(edit.trackIds, changes, {
+            cover: edit.cover,
+            removeCover: edit.removeCover,
+            writeTags: writeTags
+        });
+        
+        if (result.tagErrors.length > 0) {
+            const count = result.tagErrors.length;
+            showToast(`${result.message}. ${count} file${count === 1 ? '' : 's'} could not be tagged`, 'error');
+        } else {
+            showToast(result.message, 'success');
+        }
+        
+        // Keep the player showing the edited details of the current track
+        const playing = player.currentTrack && result.tracks.find(t => t.id === player.currentTrack.id);
+        if (playing) {
+            Object.assign(player.currentTrack, playing);
+            player.updateNowPlaying();
+            player.updateMediaMetadata();
+        }
+        
+        AppState.metadataEdit = null;
+        closeModals();
+        await reloadCurrentView();
+    } catch (error) {
+        console.error('Error updating tracks:', error);
+        showToast(error.message || 'Failed to update tracks', 'error');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
 // ============================================
 // PLAYBACK FUNCTIONS
 // ============================================
 
-function playTrack(trackId) {
+/**
+ * @param {string} trackId - Track to play
+ * @param {number} position - Where it was clicked in the view; picks the right
+ *   copy when a playlist holds the track more than once
+ */
+function playTrack(trackId, position = -1) {
     const track = AppState.tracks.find(t => t.id === trackId);
     if (!track) return;
     
@@ -425,12 +1191,32 @@ function playTrack(trackId) {
     let queue = AppState.tracks;
     if (AppState.currentView === 'playlist-detail' && AppState.currentPlaylist) {
         queue = AppState.currentPlaylist.tracks;
+    } else if (['recently-played', 'most-played', 'stats'].includes(AppState.currentView)) {
+        queue = AppState.viewTracks;
     }
     
-    const index = queue.findIndex(t => t.id === trackId);
+    const index = queue[position] && queue[position].id === trackId
+        ? position
+        : queue.findIndex(t => t.id === trackId);
     player.loadTrack(track, queue, index);
 }
 
+function playTrackNext(trackId) {
+    const track = AppState.tracks.find(t => t.id === trackId);
+    if (!track) return;
+    
+    player.insertNext([track]);
+    showToast(`"${track.title}" plays next`);
+}
+
+function queueTrack(trackId) {
+    const track = AppState.tracks.find(t => t.id === trackId);
+    if (!track) return;
+    
+    player.addToQueue([track]);
+    showToast(`Added "${track.title}" to the queue`);
+}
+
 function updateActiveTrack(track) {
     // Remove active class from all cards
     document.querySelectorAll('.track-card').forEach(card => {
@@ -478,6 +1264,9 @@ async function handleSearch(e) {
 // UPLOAD FUNCTIONALITY
 // ============================================
 
+// Images used as album art for the audio uploaded with them (same names as the server)
+const COVER_SIDECAR_PATTERN = /^(cover|folder|front|album)\.(jpe?g|png)$/i;
+
 function setupUploadHandlers() {
     const uploadArea = document.getElementById('uploadArea');
     const fileInput = document.getElementById('fileInput');
@@ -515,113 +1304,560 @@ async function handleFiles(files) {
     uploadProgress.style.display = 'block';
     fileList.innerHTML = '';
     
-    const audioFiles = Array.from(files).filter(file => file.type.startsWith('audio/'));
+    const selected = Array.from(files);
+    const archives = selected.filter(isZipFile);
+    const audioFiles = selected.filter(file => file.type.startsWith('audio/') && !isZipFile(file));
     
-    if (audioFiles.length === 0) {
-        showToast('Please select audio files', 'error');
+    if (archives.length === 0 && audioFiles.length === 0) {
+        showToast('Please select audio files or a ZIP archive', 'error');
         return;
     }
     
-    for (const file of audioFiles) {
-        await uploadFile(file, fileList);
+    const results = [];
+    
+    if (archives.length === 0 && audioFiles.length === 1) {
+        // A single audio file goes through a resumable chunked upload
+        const file = audioFiles[0];
+        const cover = selected.find(f => COVER_SIDECAR_PATTERN.test(f.name));
+        const lyrics = findLyricsFile(file, selected);
+        
+        // Anything that is not the audio or one of its sidecars is reported as rejected
+        selected
+            .filter(f => f !== file && f !== cover && f !== lyrics)
+            .forEach(f => results.push({ file: f.name, status: 'rejected', reason: 'Unsupported file type' }));
+        
+        const item = createUploadItem(`🎵 ${file.name}`);
+        fileList.appendChild(item.element);
+        
+        try {
+            const track = await API.uploadTrack(file, {}, { cover, lyrics }, {
+                onProgress: item.setProgress
+            });
+            results.push({ file: file.name, status: 'imported', track });
+        } catch (error) {
+            results.push(error.duplicate
+                ? { file: file.name, status: 'duplicate', reason: 'Already in your library', track: error.track }
+                : { file: file.name, status: 'rejected', reason: error.message || 'Upload failed' });
+        } finally {
+            item.element.remove();
+        }
+    } else {
+        // Several files and archives go in one batch request; the server
+        // unpacks archives and matches cover.jpg and .lrc files to their audio
+        const item = createUploadItem(`📁 ${selected.length} file(s)`);
+        fileList.appendChild(item.element);
+        
+        try {
+            const report = await API.importTracks(selected, {
+                onProgress: (loaded, total) => {
+                    item.setProgress(loaded, total);
+                    if (loaded === total) item.setStatus('Importing...');
+                }
+            });
+            results.push(...report.results);
+        } catch (error) {
+            selected.forEach(file => results.push({ file: file.name, status: 'rejected', reason: error.message || 'Upload failed' }));
+        } finally {
+            item.element.remove();
+        }
     }
     
-    showToast(`${audioFiles.length} file(s) uploaded successfully!`, 'success');
+    const summary = { imported: 0, duplicate: 0, rejected: 0 };
+    results.forEach(result => summary[result.status]++);
     
-    // Refresh tracks and close modal
-    setTimeout(() => {
-        closeModals();
-        refreshTracks();
-        uploadProgress.style.display = 'none';
-    }, 1000);
+    renderImportReport({ summary, results }, fileList, selected);
+    refreshTracks();
+    
+    if (summary.duplicate === 0 && summary.rejected === 0) {
+        showToast(`${summary.imported} file(s) uploaded successfully!`, 'success');
+        
+        // Refresh tracks and close modal
+        setTimeout(() => {
+            closeModals();
+            uploadProgress.style.display = 'none';
+        }, 1000);
+    } else {
+        // Keep the modal open so the user can read the report
+        showToast(`${summary.imported} imported, ${summary.duplicate} duplicate(s), ${summary.rejected} rejected`, 'info');
+    }
 }
 
-async function uploadFile(file, container) {
-    const item = document.createElement('div');
-    item.className = 'upload-file-item';
-    item.innerHTML = `
-        <span>📁 ${file.name}</span>
+/**
+ * Build a progress row for the upload modal
+ * @param {string} label - What is being uploaded
+ * @returns {Object} { element, setProgress(loaded, total), setStatus(text) }
+ */
+function createUploadItem(label) {
+    const element = document.createElement('div');
+    element.className = 'upload-file-item';
+    element.innerHTML = `
+        <span class="upload-label"></span>
         <div class="progress-bar">
             <div class="progress-fill" style="width: 0%"></div>
         </div>
         <span class="status">Uploading...</span>
     `;
-    container.appendChild(item);
+    element.querySelector('.upload-label').textContent = label;
     
-    const progressFill = item.querySelector('.progress-fill');
-    const status = item.querySelector('.status');
+    const progressFill = element.querySelector('.progress-fill');
+    const status = element.querySelector('.status');
     
-    try {
-        // Simulate progress (real progress tracking requires xhr)
-        let progress = 0;
-        const interval = setInterval(() => {
-            progress += 10;
-            progressFill.style.width = `${Math.min(progress, 90)}%`;
-        }, 100);
-        
-        await API.uploadTrack(file);
-        
-        clearInterval(interval);
-        progressFill.style.width = '100%';
-        status.textContent = '✓ Complete';
-        status.style.color = 'var(--accent-primary)';
-    } catch (error) {
-        console.error('Upload error:', error);
-        status.textContent = '✗ Failed';
-        status.style.color = '#ef4444';
-    }
+    return {
+        element,
+        setProgress(loaded, total) {
+            const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+            progressFill.style.width = `${percent}%`;
+            status.textContent = `${formatBytes(loaded)} / ${formatBytes(total)} (${percent}%)`;
+        },
+        setStatus(text) {
+            status.textContent = text;
+        }
+    };
+}
+
+function isZipFile(file) {
+    return /\.zip$/i.test(file.name);
+}
+
+/**
+ * Find the .lrc file that belongs to an audio file (same base name)
+ * @param {File} audioFile - Audio file being uploaded
+ * @param {Array} files - Everything that was selected or dropped
+ * @returns {File|undefined}
+ */
+function findLyricsFile(audioFile, files) {
+    const baseName = audioFile.name.replace(/\.[^.]+$/, '').toLowerCase();
+    return files.find(file => file.name.toLowerCase() === `${baseName}.lrc`);
+}
+
+/**
+ * Show the per-file result of a batch import in the upload modal
+ * @param {Object} report - { summary, results } from API.importTracks
+ * @param {HTMLElement} container - Upload file list
+ * @param {Array} files - Files that were sent, for "Upload anyway"
+ */
+function renderImportReport(report, container, files) {
+    const icons = { imported: '✓', duplicate: '⚠', rejected: '✗' };
+    const { imported, duplicate, rejected } = report.summary;
+    
+    const summary = document.createElement('div');
+    summary.className = 'import-summary';
+    summary.textContent = `✓ ${imported} imported · ⚠ ${duplicate} duplicate · ✗ ${rejected} rejected`;
+    container.appendChild(summary);
+    
+    report.results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'upload-file-item import-result';
+        item.innerHTML = `
+            <span class="import-file"></span>
+            <span class="import-status ${result.status}"></span>
+        `;
+        item.querySelector('.import-file').textContent = `📁 ${result.file}`;
+        
+        const status = item.querySelector('.import-status');
+        if (result.status === 'duplicate') {
+            status.textContent = `${icons.duplicate} Already in library as "${result.track.title}"`;
+        } else {
+            status.textContent = `${icons[result.status]} ${result.reason || 'Imported'}`;
+        }
+        
+        // Loose files (not from an archive) can be re-sent on purpose
+        const file = files.find(f => f.name === result.file);
+        if (result.status === 'duplicate' && file) {
+            const uploadAnyway = document.createElement('button');
+            uploadAnyway.className = 'btn btn-secondary';
+            uploadAnyway.textContent = 'Upload anyway';
+            uploadAnyway.addEventListener('click', async () => {
+                uploadAnyway.remove();
+                const sidecars = {
+                    cover: files.find(f => COVER_SIDECAR_PATTERN.test(f.name)),
+                    lyrics: findLyricsFile(file, files)
+                };
+                try {
+                    await API.uploadTrack(file, {}, sidecars, { allowDuplicate: true });
+                    status.className = 'import-status imported';
+                    status.textContent = `${icons.imported} Imported`;
+                    refreshTracks();
+                } catch (error) {
+                    status.className = 'import-status rejected';
+                    status.textContent = `${icons.rejected} ${error.message}`;
+                }
+            });
+            item.appendChild(uploadAnyway);
+        }
+        
+        container.appendChild(item);
+    });
 }
 
 // ============================================
 // PLAYLIST MANAGEMENT
 // ============================================
 
-async function handlePlaylistCreate(e) {
+// Fields smart playlist rules can test (same names as the track properties)
+const SMART_FIELDS = {
+    title: { label: 'Title', type: 'text' },
+    artist: { label: 'Artist', type: 'text' },
+    album: { label: 'Album', type: 'text' },
+    genre: { label: 'Genre', type: 'text' },
+    duration: { label: 'Duration (min)', type: 'number', scale: 60 }, // Stored in seconds
+    playCount: { label: 'Play count', type: 'number' },
+    skipCount: { label: 'Skip count', type: 'number' },
+    uploadDate: { label: 'Date added', type: 'date' },
+    lastPlayed: { label: 'Last played', type: 'date' }
+};
+
+const SMART_OPERATORS = {
+    text: { is: 'is', isNot: 'is not', contains: 'contains', notContains: 'does not contain' },
+    number: { equals: 'is', greaterThan: 'is more than', lessThan: 'is less than' },
+    date: { inLast: 'in the last (days)', notInLast: 'not in the last (days)' }
+};
+
+async function handlePlaylistSubmit(e) {
     e.preventDefault();
     
     const name = document.getElementById('playlistName').value.trim();
     const description = document.getElementById('playlistDescription').value.trim();
+    const smart = document.getElementById('playlistSmart').checked ? getSmartRules() : null;
+    const editing = AppState.editingPlaylist;
     
     if (!name) {
         showToast('Please enter a playlist name', 'error');
         return;
     }
     
+    if (smart && smart.rules.length === 0) {
+        showToast('Add at least one rule', 'error');
+        return;
+    }
+    
     try {
-        await API.createPlaylist(name, description);
-        showToast('Playlist created successfully!', 'success');
+        if (editing) {
+            await API.updatePlaylist(editing.id, smart ? { name, description, smart } : { name, description });
+            showToast('Playlist updated', 'success');
+        } else {
+            await API.createPlaylist(name, description, [], smart);
+            showToast('Playlist created successfully!', 'success');
+        }
         
         closeModals();
         e.target.reset();
         
         await refreshPlaylists();
-        switchView('playlists');
+        if (editing && AppState.currentView === 'playlist-detail' && AppState.currentPlaylist &&
+            AppState.currentPlaylist.id === editing.id) {
+            viewPlaylist(editing.id);
+        } else {
+            switchView('playlists');
+        }
     } catch (error) {
-        console.error('Error creating playlist:', error);
-        showToast(error.message || 'Failed to create playlist', 'error');
+        console.error('Error saving playlist:', error);
+        showToast(error.message || 'Failed to save playlist', 'error');
     }
 }
 
-async function addToPlaylist(trackId) {
-    if (AppState.playlists.length === 0) {
-        showToast('Create a playlist first!', 'error');
-        openPlaylistModal();
+function editPlaylist(playlistId) {
+    const playlist = AppState.playlists.find(p => p.id === playlistId);
+    if (playlist) openPlaylistModal(playlist);
+}
+
+/**
+ * Fill the rule builder
+ * @param {Object|null} smart - Saved rules, or null for a fresh builder
+ */
+function renderSmartRules(smart) {
+    document.getElementById('smartMatch').value = smart ? smart.match : 'all';
+    document.getElementById('smartRuleList').innerHTML = '';
+    (smart ? smart.rules : [{ field: 'genre', operator: 'is', value: '' }]).forEach(addSmartRule);
+    
+    const sortField = document.getElementById('smartSortField');
+    sortField.innerHTML = '<option value="">none</option><option value="random">random</option>' +
+        Object.entries(SMART_FIELDS).map(([field, { label }]) => `<option value="${field}">${label}</option>`).join('');
+    sortField.value = smart && smart.sort ? smart.sort.field : '';
+    document.getElementById('smartSortOrder').value = smart && smart.sort ? smart.sort.order : 'asc';
+    document.getElementById('smartLimit').value = smart && smart.limit ? smart.limit : '';
+}
+
+/**
+ * Add a rule row to the builder
+ * @param {Object} rule - { field, operator, value }
+ */
+function addSmartRule(rule = { field: 'genre', operator: 'is', value: '' }) {
+    const row = document.createElement('div');
+    row.className = 'smart-rule';
+    row.innerHTML = `
+        <select class="form-control smart-field" aria-label="Field">
+            ${Object.entries(SMART_FIELDS).map(([field, { label }]) => `<option value="${field}">${label}</option>`).join('')}
+        </select>
+        <select class="form-control smart-operator" aria-label="Condition"></select>
+        <input class="form-control smart-value" aria-label="Value">
+        <button type="button" class="smart-remove" title="Remove rule">✕</button>
+    `;
+    
+    const field = row.querySelector('.smart-field');
+    const operator = row.querySelector('.smart-operator');
+    const value = row.querySelector('.smart-value');
+    
+    // Operators and the value input depend on the field type
+    const updateField = () => {
+        const { type, scale } = SMART_FIELDS[field.value];
+        const current = operator.value;
+        operator.innerHTML = Object.entries(SMART_OPERATORS[type])
+            .map(([name, label]) => `<option value="${name}">${label}</option>`).join('');
+        if (SMART_OPERATORS[type][current]) operator.value = current;
+        value.type = type === 'text' ? 'text' : 'number';
+        value.min = type === 'text' ? '' : '0';
+        value.step = scale ? 'any' : '1';
+    };
+    
+    field.value = SMART_FIELDS[rule.field] ? rule.field : 'genre';
+    updateField();
+    if (SMART_OPERATORS[SMART_FIELDS[field.value].type][rule.operator]) operator.value = rule.operator;
+    const scale = SMART_FIELDS[field.value].scale;
+    value.value = scale && rule.value !== '' ? Math.round((rule.value / scale) * 100) / 100 : rule.value;
+    
+    field.addEventListener('change', () => {
+        value.value = '';
+        updateField();
+    });
+    row.querySelector('.smart-remove').addEventListener('click', () => row.remove());
+    
+    document.getElementById('smartRuleList').appendChild(row);
+}
+
+/**
+ * Read the rule builder
+ * @returns {Object} { match, rules, sort, limit } as the server expects them
+ */
+function getSmartRules() {
+    const rules = [...document.querySelectorAll('#smartRuleList .smart-rule')].map(row => {
+        const field = row.querySelector('.smart-field').value;
+        const { type, scale } = SMART_FIELDS[field];
+        const input = row.querySelector('.smart-value').value.trim();
+        return {
+            field: field,
+            operator: row.querySelector('.smart-operator').value,
+            value: type === 'text' ? input : (parseFloat(input) || 0) * (scale || 1)
+        };
+    });
+    
+    const sortField = document.getElementById('smartSortField').value;
+    const limit = parseInt(document.getElementById('smartLimit').value, 10);
+    
+    return {
+        match: document.getElementById('smartMatch').value,
+        rules: rules,
+        sort: sortField ? { field: sortField, order: document.getElementById('smartSortOrder').value } : null,
+        limit: limit > 0 ? limit : null
+    };
+}
+
+function addToPlaylist(trackId) {
+    openPlaylistPicker([trackId]);
+}
+
+/**
+ * Open the playlist picker to add tracks to one or more playlists
+ * @param {Array<string>} trackIds - Tracks to add
+ */
+function openPlaylistPicker(trackIds) {
+    if (trackIds.length === 0) return;
+    
+    AppState.pickerTrackIds = trackIds;
+    AppState.pickerChecked.clear();
+    
+    const track = trackIds.length === 1 && AppState.tracks.find(t => t.id === trackIds[0]);
+    document.getElementById('playlistPickerSummary').textContent = track
+        ? `Add "${track.title}" to:`
+        : `Add ${trackIds.length} tracks to:`;
+    document.getElementById('playlistPickerSearch').value = '';
+    document.getElementById('pickerNewPlaylistName').value = '';
+    renderPlaylistPicker();
+    
+    document.getElementById('playlistPickerModal').classList.add('active');
+    document.getElementById('playlistPickerSearch').focus();
+}
+
+/**
+ * List the regular playlists matching the picker search (smart ones fill themselves)
+ */
+function renderPlaylistPicker() {
+    const query = document.getElementById('playlistPickerSearch').value.trim().toLowerCase();
+    const list = document.getElementById('playlistPickerList');
+    list.innerHTML = '';
+    
+    const playlists = AppState.playlists
+        .filter(p => !p.smart && p.name.toLowerCase().includes(query));
+    
+    if (playlists.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'playlist-picker-empty';
+        empty.textContent = query ? 'No playlists match your search' : 'No playlists yet. Create one below.';
+        list.appendChild(empty);
+    }
+    
+    playlists.forEach(playlist => {
+        const item = document.createElement('li');
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = AppState.pickerChecked.has(playlist.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                AppState.pickerChecked.add(playlist.id);
+            } else {
+                AppState.pickerChecked.delete(playlist.id);
+            }
+            updatePickerButton();
+        });
+        
+        const name = document.createElement('span');
+        name.textContent = playlist.name;
+        const count = document.createElement('span');
+        count.className = 'playlist-picker-count';
+        count.textContent = `${playlist.tracks.length} tracks`;
+        
+        label.append(checkbox, name, count);
+        item.appendChild(label);
+        list.appendChild(item);
+    });
+    
+    updatePickerButton();
+}
+
+function updatePickerButton() {
+    const count = AppState.pickerChecked.size;
+    const button = document.getElementById('playlistPickerAddBtn');
+    button.disabled = count === 0;
+    button.textContent = count > 1 ? `Add to ${count} playlists` : 'Add';
+}
+
+/**
+ * Create a playlist from the picker and tick it
+ */
+async function createPickerPlaylist() {
+    const input = document.getElementById('pickerNewPlaylistName');
+    const name = input.value.trim();
+    if (!name) {
+        input.focus();
         return;
     }
     
-    // Simple implementation: add to first playlist
-    // TODO: Show playlist selector modal
-    const playlist = AppState.playlists[0];
+    try {
+        const playlist = await API.createPlaylist(name, '');
+        await refreshPlaylists();
+        AppState.pickerChecked.add(playlist.id);
+        input.value = '';
+        renderPlaylistPicker();
+    } catch (error) {
+        console.error('Error creating playlist:', error);
+        showToast(error.message || 'Failed to create playlist', 'error');
+    }
+}
+
+async function handlePickerAdd() {
+    const playlistIds = [...AppState.pickerChecked];
+    if (playlistIds.length === 0) return;
+    
+    try {
+        const result = await API.addTracksToPlaylists(playlistIds, AppState.pickerTrackIds);
+        const added = result.results.reduce((sum, r) => sum + r.added, 0);
+        showToast(added > 0 ? result.message : 'Already in the chosen playlists', added > 0 ? 'success' : 'info');
+        closeModals();
+        await refreshPlaylists();
+        
+        if (AppState.currentView === 'playlist-detail' && AppState.currentPlaylist &&
+            playlistIds.includes(AppState.currentPlaylist.id)) {
+            viewPlaylist(AppState.currentPlaylist.id);
+        }
+    } catch (error) {
+        console.error('Error adding tracks:', error);
+        showToast(error.message || 'Failed to add tracks', 'error');
+    }
+}
+
+/**
+ * Pick a playlist file to import
+ * @param {string|null} playlistId - Playlist to append to, or null for a new one
+ */
+function chooseImportFile(playlistId) {
+    AppState.importTarget = playlistId;
+    const input = document.getElementById('playlistImportInput');
+    input.value = '';
+    input.click();
+}
+
+async function handlePlaylistImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
     
     try {
-        await API.addTrackToPlaylist(playlist.id, trackId);
-        showToast(`Added to "${playlist.name}"`, 'success');
+        const result = await API.importPlaylist(file, AppState.importTarget);
+        closeModals();
+        
+        if (result.unmatched.length > 0) {
+            showImportReport(`${result.message}. These entries matched no track in your library:`, result.unmatched);
+        } else {
+            showToast(result.message, 'success');
+        }
+        
+        await refreshPlaylists();
+        viewPlaylist(result.playlist.id);
     } catch (error) {
-        console.error('Error adding track:', error);
-        showToast(error.message || 'Failed to add track', 'error');
+        console.error('Error importing playlist:', error);
+        if (error.unmatched && error.unmatched.length > 0) {
+            showImportReport(`${error.message}:`, error.unmatched);
+        } else {
+            showToast(error.message || 'Failed to import playlist', 'error');
+        }
     }
 }
 
+/**
+ * List the entries of an imported file that were left out
+ * @param {string} summary - Line above the list
+ * @param {Array<Object>} unmatched - { location, title, artist }
+ */
+function showImportReport(summary, unmatched) {
+    document.getElementById('importReportSummary').textContent = summary;
+    
+    const list = document.getElementById('importReportList');
+    list.innerHTML = '';
+    unmatched.forEach(entry => {
+        // Text from the file: never parsed as HTML
+        const item = document.createElement('li');
+        const name = entry.title ? `${entry.artist ? `${entry.artist} - ` : ''}${entry.title}` : '';
+        item.textContent = name || entry.location;
+        item.title = entry.location;
+        list.appendChild(item);
+    });
+    
+    document.getElementById('importReportModal').classList.add('active');
+}
+
+function openExportModal(playlistId) {
+    const playlist = AppState.playlists.find(p => p.id === playlistId);
+    if (!playlist) return;
+    
+    AppState.exportPlaylistId = playlistId;
+    document.getElementById('playlistExportName').textContent = `"${playlist.name}" · ${playlist.tracks.length} tracks`;
+    document.getElementById('playlistExportModal').classList.add('active');
+}
+
+// Download the playlist file through a temporary link
+function exportPlaylist(format) {
+    const link = document.createElement('a');
+    link.href = API.getPlaylistExportUrl(AppState.exportPlaylistId, format,
+        document.getElementById('exportFileNames').checked);
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    closeModals();
+}
+
 async function deletePlaylist(playlistId) {
     if (!confirm('Are you sure you want to delete this playlist?')) {
         return;
@@ -646,7 +1882,25 @@ function openUploadModal() {
     document.getElementById('uploadModal').classList.add('active');
 }
 
-function openPlaylistModal() {
+/**
+ * @param {Object|null} playlist - Playlist to edit, or null to create one
+ */
+function openPlaylistModal(playlist = null) {
+    AppState.editingPlaylist = playlist;
+    
+    document.getElementById('playlistModalTitle').textContent = playlist ? 'Edit Playlist' : 'Create New Playlist';
+    document.getElementById('playlistSubmitBtn').textContent = playlist ? 'Save Changes' : 'Create Playlist';
+    document.getElementById('playlistImportBtn').hidden = Boolean(playlist);
+    document.getElementById('playlistName').value = playlist ? playlist.name : '';
+    document.getElementById('playlistDescription').value = playlist ? playlist.description || '' : '';
+    
+    // A playlist stays regular or smart once created
+    const smartCheckbox = document.getElementById('playlistSmart');
+    smartCheckbox.checked = Boolean(playlist && playlist.smart);
+    smartCheckbox.disabled = Boolean(playlist);
+    document.getElementById('smartRules').hidden = !smartCheckbox.checked;
+    renderSmartRules(playlist && playlist.smart);
+    
     document.getElementById('playlistModal').classList.add('active');
 }
 
@@ -654,6 +1908,7 @@ function closeModals() {
     document.querySelectorAll('.modal').forEach(modal => {
         modal.classList.remove('active');
     });
+    revokeCoverPreview();
 }
 
 // ============================================
@@ -712,4 +1967,33 @@ function debounce(func, wait) {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// 3725 -> "1 h 2 min"
+function formatListeningTime(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+/**
+ * "just now", "5 min ago", "3 h ago", "2 days ago", then the date
+ * @param {string} isoDate - ISO timestamp
+ */
+function formatRelativeTime(isoDate) {
+    const seconds = (Date.now() - new Date(isoDate).getTime()) / 1000;
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+    if (seconds < 7 * 86400) {
+        const days = Math.floor(seconds / 86400);
+        return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+    }
+    return new Date(isoDate).toLocaleDateString();
 }
\ No newline at end of file
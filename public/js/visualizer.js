@@ -0,0 +1,227 @@
+/**
+ * VISUALIZER
+ * Draws the playing audio on one or more canvases from a Web Audio AnalyserNode
+ * Modes: spectrum bars, oscilloscope and circular spectrum
+ * - Colors come from the theme's CSS variables and follow theme changes
+ * - The animation loop only runs while audio plays and the tab is visible
+ */
+
+const VISUALIZER_MODES = ['bars', 'oscilloscope', 'circular'];
+
+class Visualizer {
+    /**
+     * @param {Array<HTMLCanvasElement>} canvases - Canvases to draw on;
+     *   hidden ones (e.g. a closed view) are skipped
+     */
+    constructor(canvases) {
+        this.canvases = canvases;
+        this.analyser = null;
+        this.frequencyData = null;
+        this.waveformData = null;
+        this.frameId = null;
+        this.playing = false;
+        
+        const savedMode = localStorage.getItem('visualizerMode');
+        this.mode = VISUALIZER_MODES.includes(savedMode) ? savedMode : 'bars';
+        
+        this.readThemeColors();
+        window.addEventListener('themeChanged', () => {
+            this.readThemeColors();
+            this.drawFrame();
+        });
+        
+        // No point animating what nobody can see
+        document.addEventListener('visibilitychange', () => this.updateLoop());
+    }
+
+    /**
+     * Start reading from the player's analyser
+     * @param {AnalyserNode} analyser - Analyser in the audio graph
+     */
+    attach(analyser) {
+        this.analyser = analyser;
+        this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        this.waveformData = new Uint8Array(analyser.fftSize);
+        this.updateLoop();
+    }
+
+    /**
+     * Tell the visualizer whether audio is playing
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        this.updateLoop();
+    }
+
+    /**
+     * @param {string} mode - 'bars', 'oscilloscope' or 'circular'
+     */
+    setMode(mode) {
+        if (!VISUALIZER_MODES.includes(mode)) return;
+        this.mode = mode;
+        localStorage.setItem('visualizerMode', mode);
+        this.drawFrame();
+    }
+
+    // Start or stop the animation loop depending on playback and tab visibility
+    updateLoop() {
+        const shouldRun = this.analyser && this.playing && !document.hidden;
+        
+        if (shouldRun && this.frameId === null) {
+            const loop = () => {
+                this.drawFrame();
+                this.frameId = requestAnimationFrame(loop);
+            };
+            this.frameId = requestAnimationFrame(loop);
+        } else if (!shouldRun && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            // Leave a flat picture instead of a frozen frame
+            this.drawFrame(true);
+        }
+    }
+
+    readThemeColors() {
+        const styles = getComputedStyle(document.body);
+        this.colors = {
+            primary: styles.getPropertyValue('--accent-primary').trim() || '#3b82f6',
+            secondary: styles.getPropertyValue('--accent-hover').trim() || '#2563eb',
+            muted: styles.getPropertyValue('--text-secondary').trim() || '#6b7280'
+        };
+    }
+
+    // ============================================
+    // DRAWING
+    // ============================================
+
+    /**
+     * Draw one frame on every visible canvas
+     * @param {boolean} silent - Draw silence instead of the analyser data
+     */
+    drawFrame(silent = false) {
+        if (this.analyser && !silent) {
+            this.analyser.getByteFrequencyData(this.frequencyData);
+            this.analyser.getByteTimeDomainData(this.waveformData);
+        } else if (this.analyser) {
+            this.frequencyData.fill(0);
+            this.waveformData.fill(128);
+        }
+        
+        this.canvases.forEach(canvas => {
+            // Canvases that are not displayed have no size and are skipped
+            const context = this.prepareCanvas(canvas);
+            if (!context || !this.analyser) return;
+            
+            if (this.mode === 'oscilloscope') {
+                this.drawOscilloscope(context, canvas);
+            } else if (this.mode === 'circular') {
+                this.drawCircular(context, canvas);
+            } else {
+                this.drawBars(context, canvas);
+            }
+        });
+    }
+
+    // Match the canvas resolution to its displayed size (sharp on HiDPI screens)
+    prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (width === 0 || height === 0) return null;
+        
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        return context;
+    }
+
+    /**
+     * Average the frequency bins into bands on a logarithmic scale,
+     * so bass and treble get a fair share of the bars
+     * @param {number} count - Number of bands
+     * @returns {Array<number>} Band levels from 0 to 1
+     */
+    getBands(count) {
+        const bins = this.frequencyData.length;
+        const bands = [];
+        for (let i = 0; i < count; i++) {
+            const start = Math.floor(Math.pow(bins, i / count));
+            const end = Math.max(start + 1, Math.floor(Math.pow(bins, (i + 1) / count)));
+            let sum = 0;
+            for (let bin = start; bin < end && bin < bins; bin++) {
+                sum += this.frequencyData[bin];
+            }
+            bands.push(sum / (end - start) / 255);
+        }
+        return bands;
+    }
+
+    drawBars(context, canvas) {
+        const { width, height } = canvas;
+        const barWidth = Math.max(2, Math.round(width / 96));
+        const gap = Math.max(1, Math.round(barWidth / 3));
+        const bands = this.getBands(Math.floor(width / (barWidth + gap)));
+        
+        const gradient = context.createLinearGradient(0, height, 0, 0);
+        gradient.addColorStop(0, this.colors.primary);
+        gradient.addColorStop(1, this.colors.secondary);
+        context.fillStyle = gradient;
+        
+        bands.forEach((level, index) => {
+            const barHeight = Math.max(1, level * height);
+            context.fillRect(index * (barWidth + gap), height - barHeight, barWidth, barHeight);
+        });
+    }
+
+    drawOscilloscope(context, canvas) {
+        const { width, height } = canvas;
+        const samples = this.waveformData;
+        
+        context.lineWidth = Math.max(1.5, height / 80);
+        context.strokeStyle = this.colors.primary;
+        context.beginPath();
+        for (let i = 0; i < samples.length; i++) {
+            const x = (i / (samples.length - 1)) * width;
+            const y = (samples[i] / 255) * height;
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.stroke();
+    }
+
+    drawCircular(context, canvas) {
+        const { width, height } = canvas;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) * 0.25;
+        const bands = this.getBands(96);
+        
+        // Inner ring
+        context.strokeStyle = this.colors.muted;
+        context.lineWidth = Math.max(1, radius / 60);
+        context.beginPath();
+        context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        context.stroke();
+        
+        // Bars radiating outwards
+        context.strokeStyle = this.colors.primary;
+        context.lineWidth = Math.max(1.5, (Math.PI * 2 * radius) / bands.length / 2);
+        context.lineCap = 'round';
+        bands.forEach((level, index) => {
+            const angle = (index / bands.length) * Math.PI * 2 - Math.PI / 2;
+            const length = level * radius * 0.9;
+            context.beginPath();
+            context.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            context.lineTo(centerX + Math.cos(angle) * (radius + length), centerY + Math.sin(angle) * (radius + length));
+            context.stroke();
+        });
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * HISTORY ROUTES
+ * Records what gets listened to:
+ * - Log a play (once the track was heard past the play threshold), then
+ *   update it with the seconds actually listened once the track is left
+ * - Log a skip (left before the threshold)
+ * - Get the play history, newest first, one page at a time
+ * Each track keeps its own playCount, lastPlayed and skipCount
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+
+// A listen counts as a play after half the track or 4 minutes, whichever comes first
+const PLAY_THRESHOLD_RATIO = 0.5;
+const PLAY_THRESHOLD_SECONDS = 240;
+const PLAY_THRESHOLD_TOLERANCE = 1; // Stored durations are rounded to whole seconds
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Seconds of listening needed before a track counts as played
+const playThreshold = (track) => {
+  if (!track.duration) return 0; // Unknown length: trust the client
+  return Math.min(track.duration * PLAY_THRESHOLD_RATIO, PLAY_THRESHOLD_SECONDS);
+};
+
+// ============================================
+// GET PLAY HISTORY (?page=1&limit=50)
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const entries = (await db.history.getAll())
+      .sort((a, b) => b.playedAt.localeCompare(a.playedAt));
+    const pageEntries = entries.slice((page - 1) * limit, page * limit);
+
+    // Populate full track details (null for tracks deleted since)
+    const tracks = await db.tracks.getByIds([...new Set(pageEntries.map(entry => entry.trackId))]);
+    const byId = new Map(tracks.map(track => [track.id, track]));
+
+    res.json({
+      success: true,
+      page: page,
+      limit: limit,
+      total: entries.length,
+      totalPages: Math.ceil(entries.length / limit),
+      history: pageEntries.map(entry => ({
+        ...entry,
+        track: byId.get(entry.trackId) || null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// LOG A PLAY
+// ============================================
+router.post('/', async (req, res) => {
+  try {
+    const { trackId, listened } = req.body;
+
+    if (!trackId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Track ID is required'
+      });
+    }
+
+    const existing = await db.tracks.getById(trackId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found'
+      });
+    }
+
+    const seconds = Number(listened) || 0;
+    if (seconds <= 0 || seconds < playThreshold(existing) - PLAY_THRESHOLD_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Track was not listened to long enough to count as a play'
+      });
+    }
+
+    const playedAt = new Date().toISOString();
+    const entry = await db.history.create({
+      trackId: trackId,
+      playedAt: playedAt,
+      listened: Math.round(seconds)
+    });
+
+    const track = await db.tracks.update(trackId, current => ({
+      playCount: (current.playCount || 0) + 1,
+      lastPlayed: playedAt
+    }));
+
+    res.status(201).json({
+      success: true,
+      entry: entry,
+      track: track
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// UPDATE A PLAY (seconds listened in the end)
+// ============================================
+router.put('/:id', async (req, res) => {
+  try {
+    const seconds = Number(req.body.listened);
+
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'listened must be a number of seconds'
+      });
+    }
+
+    // Updates may arrive out of order: keep the longest listen
+    const entry = await db.history.update(req.params.id, current => ({
+      listened: Math.max(current.listened || 0, Math.round(seconds))
+    }));
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Play not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// LOG A SKIP
+// ============================================
+router.post('/skips', async (req, res) => {
+  try {
+    const { trackId } = req.body;
+
+    if (!trackId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Track ID is required'
+      });
+    }
+
+    const track = await db.tracks.update(trackId, current => ({
+      skipCount: (current.skipCount || 0) + 1
+    }));
+
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      track: track
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,41 +7,108 @@
  * - Update playlist
  * - Delete playlist
  * - Add/remove tracks from playlist
+ * - Add many tracks to several playlists at once
+ * - Move a track or replace the whole order
+ * - Import/export playlist files (M3U, M3U8, PLS, XSPF)
+ * A playlist holds entries ({ id, trackId, addedAt }) rather than bare track IDs,
+ * so the same track can appear more than once; responses still list the track
+ * IDs in order as `tracks`
+ * Smart playlists have rules instead of entries (see services/smartPlaylists);
+ * their tracks are picked from the library each time they are read
  */
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
+const db = require('../db');
+const smartPlaylists = require('../services/smartPlaylists');
+const playlistFormats = require('../services/playlistFormats');
+const playlistUpload = require('../middleware/playlistUpload');
 
-const PLAYLISTS_FILE = path.join(__dirname, '../data/playlists.json');
-const TRACKS_FILE = path.join(__dirname, '../data/tracks.json');
+// Reject manual track changes on smart playlists
+const rejectSmart = (res) => res.status(400).json({ 
+  success: false, 
+  error: 'Smart playlists are filled by their rules; edit the rules instead' 
+});
+
+const createEntry = (trackId) => ({
+  id: db.generateId(),
+  trackId: trackId,
+  addedAt: new Date().toISOString()
+});
 
-// Helper functions
-const readPlaylists = () => {
-  const data = fs.readFileSync(PLAYLISTS_FILE, 'utf8');
-  return JSON.parse(data);
+/**
+ * Get a playlist by ID
+ * Playlists saved before entries existed only have `tracks` (track IDs);
+ * they get entries here, saved right away so entry IDs stay stable
+ * @param {string} id - Playlist ID
+ * @returns {Promise<Object|null>}
+ */
+const loadPlaylist = async (id) => {
+  const playlist = await db.playlists.getById(id);
+  if (!playlist || Array.isArray(playlist.entries)) return playlist;
+
+  return db.playlists.update(id, current => (Array.isArray(current.entries) ? {} : {
+    entries: current.smart ? [] : (current.tracks || []).map(createEntry),
+    tracks: undefined
+  }));
 };
 
-const writePlaylists = (playlists) => {
-  fs.writeFileSync(PLAYLISTS_FILE, JSON.stringify(playlists, null, 2));
+/**
+ * Playlist as sent to clients, with `tracks` listing the track IDs in order
+ * @param {Object} playlist - Stored playlist
+ * @param {Array} library - All tracks (only needed for smart playlists)
+ */
+const withTrackIds = (playlist, library = []) => ({
+  ...playlist,
+  tracks: playlist.smart
+    ? smartPlaylists.evaluate(playlist.smart, library).map(track => track.id)
+    : playlist.entries.map(entry => entry.trackId)
+});
+
+/**
+ * Entries whose track still exists, in order
+ * (entries of deleted tracks are hidden from clients and dropped on reorder)
+ */
+const liveEntries = async (entries) => {
+  const tracks = await db.tracks.getByIds([...new Set(entries.map(entry => entry.trackId))]);
+  const existing = new Set(tracks.map(track => track.id));
+  return entries.filter(entry => existing.has(entry.trackId));
 };
 
-const readTracks = () => {
-  const data = fs.readFileSync(TRACKS_FILE, 'utf8');
-  return JSON.parse(data);
+/**
+ * Update function saving a new order worked out from an earlier read,
+ * without losing changes made meanwhile: entries removed since stay out,
+ * entries added since go at the end
+ * @param {Array} ordered - Entries in their new order
+ * @param {Array} before - Entries as they were read
+ */
+const saveOrder = (ordered, before) => (current) => {
+  const currentIds = new Set(current.entries.map(entry => entry.id));
+  const beforeIds = new Set(before.map(entry => entry.id));
+  return {
+    entries: [
+      ...ordered.filter(entry => currentIds.has(entry.id)),
+      ...current.entries.filter(entry => !beforeIds.has(entry.id))
+    ],
+    updatedAt: new Date().toISOString()
+  };
 };
 
 // ============================================
 // GET ALL PLAYLISTS
 // ============================================
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
-    const playlists = readPlaylists();
+    const playlists = await Promise.all((await db.playlists.getAll())
+      .map(playlist => (Array.isArray(playlist.entries) ? playlist : loadPlaylist(playlist.id))));
+    
+    // Smart playlists list the IDs of the tracks their rules pick right now
+    const library = playlists.some(p => p.smart) ? await db.tracks.getAll() : [];
+    
     res.json({
       success: true,
       count: playlists.length,
-      playlists: playlists
+      playlists: playlists.map(playlist => withTrackIds(playlist, library))
     });
   } catch (error) {
     res.status(500).json({ 
@@ -53,10 +120,13 @@ router.get('/', (req, res) => {
 
 // ============================================
 // CREATE NEW PLAYLIST
+// Optional trackIds fills it right away (e.g. saving the play queue);
+// unknown IDs are dropped
+// Optional smart (rules) makes it a smart playlist instead
 // ============================================
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, trackIds, smart } = req.body;
     
     if (!name) {
       return res.status(400).json({ 
@@ -65,7 +135,7 @@ router.post('/', (req, res) => {
       });
     }
     
-    const playlists = readPlaylists();
+    const playlists = await db.playlists.getAll();
     
     // Check if playlist with same name exists
     const exists = playlists.some(p => p.name.toLowerCase() === name.toLowerCase());
@@ -76,22 +146,194 @@ router.post('/', (req, res) => {
       });
     }
     
-    const playlist = {
-      id: Date.now().toString(),
+    if (trackIds !== undefined && !Array.isArray(trackIds)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'trackIds must be an array' 
+      });
+    }
+    
+    let rules = null;
+    if (smart !== undefined && smart !== null) {
+      const parsed = smartPlaylists.parseSmart(smart);
+      if (parsed.error) {
+        return res.status(400).json({ 
+          success: false, 
+          error: parsed.error 
+        });
+      }
+      rules = parsed.smart;
+    }
+    
+    const tracks = await db.tracks.getByIds(rules ? [] : trackIds || []);
+    
+    const playlist = await db.playlists.create({
       name: name,
       description: description || '',
-      tracks: [],
+      entries: tracks.map(track => createEntry(track.id)),
+      smart: rules,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-    
-    playlists.push(playlist);
-    writePlaylists(playlists);
+    });
     
     res.status(201).json({
       success: true,
       message: 'Playlist created successfully!',
-      playlist: playlist
+      playlist: withTrackIds(playlist, rules ? await db.tracks.getAll() : [])
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * Read an uploaded playlist file and match its entries to the library
+ * Sends a 400 response and returns null when there is nothing to import
+ * @returns {Promise<Object|null>} { parsed, matched, unmatched }
+ */
+const readPlaylistFile = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ 
+      success: false, 
+      error: 'No file uploaded' 
+    });
+    return null;
+  }
+  
+  const format = playlistFormats.detectFormat(req.file.originalname);
+  const parsed = playlistFormats.parse(req.file.buffer.toString('utf8'), format);
+  
+  if (parsed.entries.length === 0) {
+    res.status(400).json({ 
+      success: false, 
+      error: 'The file does not contain any playlist entries' 
+    });
+    return null;
+  }
+  
+  const { matched, unmatched } = playlistFormats.matchEntries(parsed.entries, await db.tracks.getAll());
+  
+  if (matched.length === 0) {
+    res.status(400).json({ 
+      success: false, 
+      error: 'None of the entries matched a track in the library',
+      unmatched: unmatched
+    });
+    return null;
+  }
+  
+  return { parsed, matched, unmatched };
+};
+
+// ============================================
+// IMPORT PLAYLIST FILE AS A NEW PLAYLIST
+// multipart/form-data: "playlist" (the file), optional "name"
+// Entries are matched to library tracks; the rest are reported back
+// ============================================
+router.post('/import', playlistUpload.single('playlist'), async (req, res) => {
+  try {
+    const result = await readPlaylistFile(req, res);
+    if (!result) return;
+    
+    const { parsed, matched, unmatched } = result;
+    
+    // Keep names unique: "Road Trip", "Road Trip (2)", ...
+    const baseName = String(req.body.name || parsed.name ||
+      req.file.originalname.replace(/\.[^.]+$/, '')).trim() || 'Imported playlist';
+    const taken = new Set((await db.playlists.getAll()).map(p => p.name.toLowerCase()));
+    let name = baseName;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${baseName} (${n})`;
+    
+    const playlist = await db.playlists.create({
+      name: name,
+      description: `Imported from ${req.file.originalname}`,
+      entries: matched.map(({ track }) => createEntry(track.id)),
+      smart: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Imported ${matched.length} of ${parsed.entries.length} entries`,
+      playlist: withTrackIds(playlist),
+      matched: matched.length,
+      unmatched: unmatched
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// ADD TRACKS TO SEVERAL PLAYLISTS
+// Body: { playlistIds: [...], trackIds: [...], allowDuplicates }
+// Tracks a playlist already holds are skipped unless allowDuplicates is true
+// ============================================
+router.post('/bulk/tracks', async (req, res) => {
+  try {
+    const { playlistIds, trackIds, allowDuplicates } = req.body;
+    const isIdList = (value) => Array.isArray(value) && value.length > 0 &&
+      value.every(id => typeof id === 'string');
+    
+    if (!isIdList(playlistIds) || !isIdList(trackIds)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'playlistIds and trackIds must be non-empty arrays of IDs' 
+      });
+    }
+    
+    const tracks = await db.tracks.getByIds([...new Set(trackIds)]);
+    if (tracks.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'None of the tracks were found' 
+      });
+    }
+    
+    // Check every playlist before changing any of them
+    const uniquePlaylistIds = [...new Set(playlistIds)];
+    const playlists = [];
+    for (const id of uniquePlaylistIds) {
+      const playlist = await loadPlaylist(id);
+      if (!playlist) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Playlist not found: ${id}` 
+        });
+      }
+      if (playlist.smart) return rejectSmart(res);
+      playlists.push(playlist);
+    }
+    
+    const results = [];
+    for (const { id } of playlists) {
+      let added = 0;
+      const playlist = await db.playlists.update(id, current => {
+        const contained = new Set(current.entries.map(entry => entry.trackId));
+        const newEntries = tracks
+          .filter(track => allowDuplicates === true || !contained.has(track.id))
+          .map(track => createEntry(track.id));
+        added = newEntries.length;
+        return {
+          entries: [...current.entries, ...newEntries],
+          updatedAt: new Date().toISOString()
+        };
+      });
+      results.push({ playlist: withTrackIds(playlist), added: added });
+    }
+    
+    const total = results.reduce((sum, result) => sum + result.added, 0);
+    res.json({ 
+      success: true, 
+      message: `Added ${total} track${total === 1 ? '' : 's'} to ${results.length} playlist${results.length === 1 ? '' : 's'}`,
+      results: results
     });
   } catch (error) {
     res.status(500).json({ 
@@ -103,11 +345,11 @@ router.post('/', (req, res) => {
 
 // ============================================
 // GET SINGLE PLAYLIST WITH TRACKS
+// entries carry their full track; tracks lists the same tracks in order
 // ============================================
-router.get('/:id', (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    const playlists = readPlaylists();
-    const playlist = playlists.find(p => p.id === req.params.id);
+    const playlist = await loadPlaylist(req.params.id);
     
     if (!playlist) {
       return res.status(404).json({ 
@@ -116,13 +358,25 @@ router.get('/:id', (req, res) => {
       });
     }
     
-    // Populate full track details
-    const allTracks = readTracks();
+    // Smart playlists pick their tracks from the library
+    if (playlist.smart) {
+      return res.json({ 
+        success: true, 
+        playlist: { ...playlist, tracks: smartPlaylists.evaluate(playlist.smart, await db.tracks.getAll()) }
+      });
+    }
+    
+    // Populate full track details (deleted tracks are skipped)
+    const tracks = await db.tracks.getByIds([...new Set(playlist.entries.map(entry => entry.trackId))]);
+    const byId = new Map(tracks.map(track => [track.id, track]));
+    const entries = playlist.entries
+      .filter(entry => byId.has(entry.trackId))
+      .map(entry => ({ ...entry, track: byId.get(entry.trackId) }));
+    
     const playlistWithTracks = {
       ...playlist,
-      tracks: playlist.tracks.map(trackId => {
-        return allTracks.find(t => t.id === trackId);
-      }).filter(t => t !== undefined) // Remove any deleted tracks
+      entries: entries,
+      tracks: entries.map(entry => entry.track)
     };
     
     res.json({ 
@@ -137,33 +391,143 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// ============================================
+// IMPORT PLAYLIST FILE INTO A PLAYLIST (appended at the end)
+// ============================================
+router.post('/:id/import', playlistUpload.single('playlist'), async (req, res) => {
+  try {
+    const existing = await loadPlaylist(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Playlist not found' 
+      });
+    }
+    
+    if (existing.smart) return rejectSmart(res);
+    
+    const result = await readPlaylistFile(req, res);
+    if (!result) return;
+    
+    const { parsed, matched, unmatched } = result;
+    const added = matched.map(({ track }) => createEntry(track.id));
+    
+    const playlist = await db.playlists.update(req.params.id, current => ({
+      entries: [...current.entries, ...added],
+      updatedAt: new Date().toISOString()
+    }));
+    
+    res.json({
+      success: true,
+      message: `Imported ${matched.length} of ${parsed.entries.length} entries`,
+      playlist: withTrackIds(playlist),
+      matched: matched.length,
+      unmatched: unmatched
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// EXPORT PLAYLIST FILE (?format=m3u|m3u8|pls|xspf&location=url|file)
+// location=url (default) points at this server's stream URLs;
+// location=file writes bare file names, for files copied next to the playlist
+// ============================================
+router.get('/:id/export', async (req, res) => {
+  try {
+    const format = playlistFormats.detectFormat(req.query.format || 'm3u8');
+    
+    if (!format) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `format must be one of: ${Object.keys(playlistFormats.FORMATS).join(', ')}` 
+      });
+    }
+    
+    const playlist = await loadPlaylist(req.params.id);
+    
+    if (!playlist) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Playlist not found' 
+      });
+    }
+    
+    const tracks = playlist.smart
+      ? smartPlaylists.evaluate(playlist.smart, await db.tracks.getAll())
+      : await db.tracks.getByIds(playlist.entries.map(entry => entry.trackId));
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const locate = req.query.location === 'file'
+      ? track => track.originalName || track.filename
+      : track => `${baseUrl}/api/tracks/${track.id}/stream`;
+    
+    const { extension, contentType } = playlistFormats.FORMATS[format];
+    const fileName = (playlist.name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'playlist') + extension;
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    });
+    res.send(playlistFormats.serialize(format, playlist, tracks, locate));
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
 // ============================================
 // UPDATE PLAYLIST INFO
+// smart replaces the rules of a smart playlist
 // ============================================
-router.put('/:id', (req, res) => {
+router.put('/:id', async (req, res) => {
   try {
-    const playlists = readPlaylists();
-    const playlistIndex = playlists.findIndex(p => p.id === req.params.id);
+    const { name, description, smart } = req.body;
+    
+    const existing = await loadPlaylist(req.params.id);
     
-    if (playlistIndex === -1) {
+    if (!existing) {
       return res.status(404).json({ 
         success: false, 
         error: 'Playlist not found' 
       });
     }
     
-    const { name, description } = req.body;
+    const changes = { updatedAt: new Date().toISOString() };
+    if (name) changes.name = name;
+    if (description !== undefined) changes.description = description;
     
-    if (name) playlists[playlistIndex].name = name;
-    if (description !== undefined) playlists[playlistIndex].description = description;
-    playlists[playlistIndex].updatedAt = new Date().toISOString();
+    if (smart !== undefined) {
+      if (!existing.smart) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Only smart playlists have rules' 
+        });
+      }
+      
+      const parsed = smartPlaylists.parseSmart(smart);
+      if (parsed.error) {
+        return res.status(400).json({ 
+          success: false, 
+          error: parsed.error 
+        });
+      }
+      changes.smart = parsed.smart;
+    }
     
-    writePlaylists(playlists);
+    const playlist = await db.playlists.update(req.params.id, changes);
     
     res.json({ 
       success: true, 
       message: 'Playlist updated successfully',
-      playlist: playlists[playlistIndex]
+      playlist: withTrackIds(playlist, playlist.smart ? await db.tracks.getAll() : [])
     });
   } catch (error) {
     res.status(500).json({ 
@@ -176,21 +540,17 @@ router.put('/:id', (req, res) => {
 // ============================================
 // DELETE PLAYLIST
 // ============================================
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res) => {
   try {
-    const playlists = readPlaylists();
-    const playlistIndex = playlists.findIndex(p => p.id === req.params.id);
+    const removed = await db.playlists.remove(req.params.id);
     
-    if (playlistIndex === -1) {
+    if (!removed) {
       return res.status(404).json({ 
         success: false, 
         error: 'Playlist not found' 
       });
     }
     
-    playlists.splice(playlistIndex, 1);
-    writePlaylists(playlists);
-    
     res.json({ 
       success: true, 
       message: 'Playlist deleted successfully' 
@@ -205,8 +565,9 @@ router.delete('/:id', (req, res) => {
 
 // ============================================
 // ADD TRACK TO PLAYLIST
+// Appends a new entry, even if the track is already in the playlist
 // ============================================
-router.post('/:id/tracks', (req, res) => {
+router.post('/:id/tracks', async (req, res) => {
   try {
     const { trackId } = req.body;
     
@@ -218,41 +579,36 @@ router.post('/:id/tracks', (req, res) => {
     }
     
     // Verify track exists
-    const tracks = readTracks();
-    const trackExists = tracks.some(t => t.id === trackId);
-    if (!trackExists) {
+    const track = await db.tracks.getById(trackId);
+    if (!track) {
       return res.status(404).json({ 
         success: false, 
         error: 'Track not found' 
       });
     }
     
-    const playlists = readPlaylists();
-    const playlistIndex = playlists.findIndex(p => p.id === req.params.id);
+    const existing = await loadPlaylist(req.params.id);
     
-    if (playlistIndex === -1) {
+    if (!existing) {
       return res.status(404).json({ 
         success: false, 
         error: 'Playlist not found' 
       });
     }
     
-    // Check if track already in playlist
-    if (playlists[playlistIndex].tracks.includes(trackId)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Track already in playlist' 
-      });
-    }
+    if (existing.smart) return rejectSmart(res);
     
-    playlists[playlistIndex].tracks.push(trackId);
-    playlists[playlistIndex].updatedAt = new Date().toISOString();
-    writePlaylists(playlists);
+    const entry = createEntry(trackId);
+    const playlist = await db.playlists.update(req.params.id, current => ({
+      entries: [...current.entries, entry],
+      updatedAt: new Date().toISOString()
+    }));
     
     res.json({ 
       success: true, 
       message: 'Track added to playlist',
-      playlist: playlists[playlistIndex]
+      entry: entry,
+      playlist: withTrackIds(playlist)
     });
   } catch (error) {
     res.status(500).json({ 
@@ -264,35 +620,182 @@ router.post('/:id/tracks', (req, res) => {
 
 // ============================================
 // REMOVE TRACK FROM PLAYLIST
+// Removes every entry of the track (see below for a single entry)
 // ============================================
-router.delete('/:id/tracks/:trackId', (req, res) => {
+router.delete('/:id/tracks/:trackId', async (req, res) => {
   try {
-    const playlists = readPlaylists();
-    const playlistIndex = playlists.findIndex(p => p.id === req.params.id);
+    const existing = await loadPlaylist(req.params.id);
     
-    if (playlistIndex === -1) {
+    if (!existing) {
       return res.status(404).json({ 
         success: false, 
         error: 'Playlist not found' 
       });
     }
     
-    const trackIndex = playlists[playlistIndex].tracks.indexOf(req.params.trackId);
-    if (trackIndex === -1) {
+    if (existing.smart) return rejectSmart(res);
+    
+    if (!existing.entries.some(entry => entry.trackId === req.params.trackId)) {
       return res.status(404).json({ 
         success: false, 
         error: 'Track not found in playlist' 
       });
     }
     
-    playlists[playlistIndex].tracks.splice(trackIndex, 1);
-    playlists[playlistIndex].updatedAt = new Date().toISOString();
-    writePlaylists(playlists);
+    const playlist = await db.playlists.update(req.params.id, current => ({
+      entries: current.entries.filter(entry => entry.trackId !== req.params.trackId),
+      updatedAt: new Date().toISOString()
+    }));
     
     res.json({ 
       success: true, 
       message: 'Track removed from playlist',
-      playlist: playlists[playlistIndex]
+      playlist: withTrackIds(playlist)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// REMOVE ONE ENTRY FROM PLAYLIST
+// ============================================
+router.delete('/:id/entries/:entryId', async (req, res) => {
+  try {
+    const existing = await loadPlaylist(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Playlist not found' 
+      });
+    }
+    
+    if (!existing.entries.some(entry => entry.id === req.params.entryId)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Entry not found in playlist' 
+      });
+    }
+    
+    const playlist = await db.playlists.update(req.params.id, current => ({
+      entries: current.entries.filter(entry => entry.id !== req.params.entryId),
+      updatedAt: new Date().toISOString()
+    }));
+    
+    res.json({ 
+      success: true, 
+      message: 'Track removed from playlist',
+      playlist: withTrackIds(playlist)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// MOVE ONE ENTRY ({ position }: its new 0-based index)
+// ============================================
+router.patch('/:id/entries/:entryId', async (req, res) => {
+  try {
+    const { position } = req.body;
+    
+    const existing = await loadPlaylist(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Playlist not found' 
+      });
+    }
+    
+    if (existing.smart) return rejectSmart(res);
+    
+    const entries = await liveEntries(existing.entries);
+    const from = entries.findIndex(entry => entry.id === req.params.entryId);
+    
+    if (from === -1) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Entry not found in playlist' 
+      });
+    }
+    
+    if (!Number.isInteger(position) || position < 0 || position >= entries.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `position must be a whole number from 0 to ${entries.length - 1}` 
+      });
+    }
+    
+    const [entry] = entries.splice(from, 1);
+    entries.splice(position, 0, entry);
+    
+    const playlist = await db.playlists.update(req.params.id, saveOrder(entries, existing.entries));
+    
+    res.json({ 
+      success: true, 
+      message: 'Track moved',
+      playlist: withTrackIds(playlist)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// REPLACE THE WHOLE ORDER ({ entryIds }: every entry, once, in the new order)
+// ============================================
+router.put('/:id/entries', async (req, res) => {
+  try {
+    const { entryIds } = req.body;
+    
+    if (!Array.isArray(entryIds)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'entryIds must be an array' 
+      });
+    }
+    
+    const existing = await loadPlaylist(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Playlist not found' 
+      });
+    }
+    
+    if (existing.smart) return rejectSmart(res);
+    
+    const entries = await liveEntries(existing.entries);
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const unique = new Set(entryIds);
+    
+    if (unique.size !== entryIds.length || entryIds.length !== entries.length ||
+        !entryIds.every(id => byId.has(id))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'entryIds must list every entry of the playlist exactly once' 
+      });
+    }
+    
+    const playlist = await db.playlists.update(req.params.id,
+      saveOrder(entryIds.map(id => byId.get(id)), existing.entries));
+    
+    res.json({ 
+      success: true, 
+      message: 'Playlist reordered',
+      playlist: withTrackIds(playlist)
     });
   } catch (error) {
     res.status(500).json({ 
@@ -0,0 +1,120 @@
+/**
+ * SESSION ROUTES
+ * Stores the playback session (queue, current track, position,
+ * shuffle/repeat mode and volume) so it can be resumed in another browser
+ * There is a single session, saved under a fixed ID
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+
+const SESSION_ID = 'current';
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+const isIndex = (value) => Number.isInteger(value) && value >= -1;
+
+// ============================================
+// GET SAVED SESSION
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const session = await db.sessions.getById(SESSION_ID);
+
+    if (!session) {
+      return res.json({
+        success: true,
+        session: null
+      });
+    }
+
+    // Populate full track details (deleted tracks are skipped;
+    // the client maps the saved indexes onto what is left)
+    res.json({
+      success: true,
+      session: {
+        ...session,
+        tracks: await db.tracks.getByIds(session.trackIds)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// SAVE SESSION
+// ============================================
+router.put('/', async (req, res) => {
+  try {
+    const { trackIds, currentIndex, position, isShuffled, shuffleOrder, shufflePosition, repeatMode, volume, muted, updatedAt } = req.body;
+
+    if (!Array.isArray(trackIds) || !trackIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'trackIds must be an array of track IDs'
+      });
+    }
+
+    if (!isIndex(currentIndex) || currentIndex >= trackIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'currentIndex is out of range'
+      });
+    }
+
+    if (shuffleOrder !== undefined && (!Array.isArray(shuffleOrder) || !shuffleOrder.every(isIndex))) {
+      return res.status(400).json({
+        success: false,
+        error: 'shuffleOrder must be an array of queue indexes'
+      });
+    }
+
+    if (!REPEAT_MODES.includes(repeatMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `repeatMode must be one of: ${REPEAT_MODES.join(', ')}`
+      });
+    }
+
+    if (typeof volume !== 'number' || volume < 0 || volume > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'volume must be a number from 0 to 1'
+      });
+    }
+
+    const fields = {
+      trackIds: trackIds,
+      currentIndex: currentIndex,
+      position: Math.max(0, Number(position) || 0),
+      isShuffled: Boolean(isShuffled),
+      shuffleOrder: shuffleOrder || [],
+      shufflePosition: isIndex(shufflePosition) ? shufflePosition : -1,
+      repeatMode: repeatMode,
+      volume: volume,
+      muted: Boolean(muted),
+      // Keep the client's timestamp: clients compare it with the one on their
+      // local copy, and both must come from the same (client) clock
+      updatedAt: isNaN(Date.parse(updatedAt)) ? new Date().toISOString() : new Date(updatedAt).toISOString()
+    };
+
+    const session = await db.sessions.update(SESSION_ID, fields) ||
+      await db.sessions.create({ id: SESSION_ID, ...fields });
+
+    res.json({
+      success: true,
+      session: session
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * STATS ROUTES
+ * Listening statistics for the stats dashboard
+ * - Totals and top tracks/artists/albums/genres for a period
+ * - Activity by hour of day and day of week
+ * - Library growth over time
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const stats = require('../services/stats');
+
+// ============================================
+// GET STATS (?period=week|month|year|all&tzOffset=-60)
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const period = req.query.period || 'all';
+
+    if (!Object.prototype.hasOwnProperty.call(stats.PERIODS, period)) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be one of: ${Object.keys(stats.PERIODS).join(', ')}`
+      });
+    }
+
+    // Minutes behind UTC, as reported by the browser (capped to real time zones)
+    const tzOffset = Math.max(-840, Math.min(720, parseInt(req.query.tzOffset, 10) || 0));
+
+    const [history, tracks] = await Promise.all([db.history.getAll(), db.tracks.getAll()]);
+
+    res.json({
+      success: true,
+      stats: stats.buildStats(history, tracks, { period, tzOffset })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
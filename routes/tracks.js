@@ -2,9 +2,17 @@
  * TRACKS ROUTES
  * Handles all track-related operations:
  * - Upload tracks
+ * - Batch import (many files or ZIP archives)
+ * - Resumable chunked uploads
  * - Get all tracks
  * - Get single track
+ * - Stream track audio
+ * - Serve track artwork
+ * - Get/attach track lyrics
+ * - Find duplicate tracks
  * - Delete track
+ * - Update track metadata and cover art, optionally writing them into the file tags
+ * - Bulk delete/update many tracks in one request
  * - Search tracks
  */
 
@@ -13,27 +21,52 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const upload = require('../middleware/upload');   // requires middleware/upload.js
-const mm = require('music-metadata');
+const batchUpload = require('../middleware/batchUpload');
+const db = require('../db');
+const artwork = require('../services/artwork');
+const lyrics = require('../services/lyrics');
+const duplicates = require('../services/duplicates');
+const tagWriter = require('../services/tagWriter');
+const archive = require('../services/archive');
+const importer = require('../services/importer');
+const uploadSessions = require('../services/uploadSessions');
 
-const TRACKS_FILE = path.join(__dirname, '../data/tracks.json');
+const { MUSIC_DIR, getAudioMimeType } = importer;
+const TMP_DIR = path.join(__dirname, '../uploads/tmp');
 
-// Helper function to read tracks
-const readTracks = () => {
-  const data = fs.readFileSync(TRACKS_FILE, 'utf8');
-  return JSON.parse(data);
-};
+/**
+ * Parse a "Range: bytes=..." header against a file size.
+ * Only the first range is honoured; multipart ranges are not supported.
+ * @returns {Object|null|false} { start, end } for a valid range,
+ *   null if the header is malformed (ignore it), false if unsatisfiable
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.split(',')[0].trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
 
-// Helper function to write tracks
-const writeTracks = (tracks) => {
-  fs.writeFileSync(TRACKS_FILE, JSON.stringify(tracks, null, 2));
+  if (start >= size || start > end) return false;
+  return { start, end };
 };
 
 // ============================================
 // GET ALL TRACKS
 // ============================================
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
-    const tracks = readTracks();
+    const tracks = await db.tracks.getAll();
     res.json({
       success: true,
       count: tracks.length,
@@ -50,8 +83,19 @@ router.get('/', (req, res) => {
 // ============================================
 // UPLOAD TRACK (with metadata extraction)
 // ============================================
-router.post('/upload', upload.single('audio'), async (req, res) => {
+const uploadFields = upload.fields([
+  { name: 'audio', maxCount: 1 },
+  { name: 'cover', maxCount: 1 },
+  { name: 'lyrics', maxCount: 1 }
+]);
+
+router.post('/upload', uploadFields, async (req, res) => {
+  const coverFile = req.files && req.files.cover ? req.files.cover[0] : null;
+  const lyricsFile = req.files && req.files.lyrics ? req.files.lyrics[0] : null;
+
   try {
+    req.file = req.files && req.files.audio ? req.files.audio[0] : null;
+
     if (!req.file) {
       return res.status(400).json({ 
         success: false, 
@@ -59,49 +103,421 @@ router.post('/upload', upload.single('audio'), async (req, res) => {
       });
     }
 
-    const filePath = req.file.path;
-    let metadata = {
-      title: req.body.title || path.basename(req.file.originalname, path.extname(req.file.originalname)),
-      artist: req.body.artist || 'Unknown Artist',
-      album: req.body.album || 'Unknown Album',
-      genre: req.body.genre || 'Uncategorized',
-      duration: 0
-    };
+    const result = await importer.importTrack({
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      fields: req.body,
+      coverPath: coverFile && coverFile.path,
+      lyricsPath: lyricsFile && lyricsFile.path,
+      allowDuplicate: req.query.allowDuplicate === 'true'
+    });
+
+    // Reject files already in the library unless ?allowDuplicate=true
+    if (result.status === 'duplicate') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'This file is already in your library',
+        duplicate: true,
+        track: result.track
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Track uploaded successfully!',
+      track: result.track
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  } finally {
+    // Sidecar files have been copied into /uploads by now
+    [coverFile, lyricsFile].filter(Boolean).forEach(file => {
+      fs.promises.unlink(file.path).catch(() => {});
+    });
+  }
+});
+
+// ============================================
+// BATCH IMPORT (many files and/or ZIP archives)
+// ============================================
+
+/**
+ * Import every audio file from a list of files that sit side by side
+ * (one upload, or one folder of an archive). cover.jpg/folder.png and
+ * same-named .lrc files are used as sidecars instead of being imported.
+ * @param {Array} files - [{ name, path }] where name is the display name
+ * @param {boolean} allowDuplicate - Skip the duplicate check
+ * @returns {Promise<Array>} Report entries
+ */
+const importFileGroup = async (files, allowDuplicate) => {
+  const report = [];
+  const cover = files.find(f => artwork.isSidecarName(path.basename(f.name)));
+
+  const findLyrics = (audioName) => {
+    const baseName = path.basename(audioName, path.extname(audioName)).toLowerCase();
+    return files.find(f => path.basename(f.name).toLowerCase() === `${baseName}.lrc`);
+  };
+
+  for (const file of files) {
+    const basename = path.basename(file.name);
+    const isSidecar = file === cover || path.extname(basename).toLowerCase() === '.lrc';
+    if (isSidecar) continue;
+
+    if (!importer.isAudioFile(basename)) {
+      report.push({ file: file.name, status: 'rejected', reason: 'Unsupported file type' });
+      continue;
+    }
 
-    // Extract metadata from audio file
     try {
-      const audioMetadata = await mm.parseFile(filePath);
-      if (audioMetadata.common) {
-        metadata.title = audioMetadata.common.title || metadata.title;
-        metadata.artist = audioMetadata.common.artist || metadata.artist;
-        metadata.album = audioMetadata.common.album || metadata.album;
-        metadata.genre = (audioMetadata.common.genre && audioMetadata.common.genre[0]) || metadata.genre;
+      const lyricsFile = findLyrics(basename);
+      const result = await importer.importTrack({
+        filePath: file.path,
+        originalName: basename,
+        coverPath: cover && cover.path,
+        lyricsPath: lyricsFile && lyricsFile.path,
+        allowDuplicate
+      });
+
+      report.push(result.status === 'duplicate'
+        ? { file: file.name, status: 'duplicate', reason: 'Already in your library', track: result.track }
+        : { file: file.name, status: 'imported', track: result.track });
+    } catch (error) {
+      report.push({ file: file.name, status: 'rejected', reason: error.message });
+    }
+  }
+
+  return report;
+};
+
+router.post('/batch', batchUpload.array('files'), async (req, res) => {
+  const uploaded = req.files || [];
+  const skipped = req.skippedFiles || [];
+  const extractDirs = [];
+
+  try {
+    if (uploaded.length === 0 && skipped.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No files uploaded' 
+      });
+    }
+
+    const allowDuplicate = req.query.allowDuplicate === 'true';
+    const looseFiles = [];
+    const report = skipped.map(name => ({ file: name, status: 'rejected', reason: 'Unsupported file type' }));
+
+    for (const file of uploaded) {
+      if (!archive.isZipFile(file.originalname)) {
+        // Only archives get the large batch limit
+        if (file.size > importer.MAX_AUDIO_SIZE) {
+          report.push({ file: file.originalname, status: 'rejected', reason: 'File is too large' });
+        } else {
+          looseFiles.push({ name: file.originalname, path: file.path });
+        }
+        continue;
       }
-      if (audioMetadata.format && audioMetadata.format.duration) {
-        metadata.duration = Math.round(audioMetadata.format.duration);
+
+      // Unpack the archive, then import it folder by folder so each
+      // album picks up its own cover.jpg and .lrc files
+      const extractDir = path.join(TMP_DIR, `${path.basename(file.filename, '.zip')}-unzipped`);
+      extractDirs.push(extractDir);
+
+      let entries;
+      try {
+        entries = await archive.extractZip(file.path, extractDir, name => {
+          const basename = path.basename(name);
+          return importer.isAudioFile(basename) ||
+            artwork.isSidecarName(basename) ||
+            path.extname(basename).toLowerCase() === '.lrc';
+        });
+      } catch (error) {
+        report.push({ file: file.originalname, status: 'rejected', reason: `Could not read archive: ${error.message}` });
+        continue;
+      }
+
+      entries
+        .filter(entry => entry.error)
+        .forEach(entry => report.push({ file: `${file.originalname}/${entry.name}`, status: 'rejected', reason: entry.error }));
+
+      const folders = new Map();
+      entries.filter(entry => entry.path).forEach(entry => {
+        const folder = path.dirname(entry.name);
+        if (!folders.has(folder)) folders.set(folder, []);
+        folders.get(folder).push({ name: `${file.originalname}/${entry.name}`, path: entry.path });
+      });
+
+      for (const group of folders.values()) {
+        report.push(...await importFileGroup(group, allowDuplicate));
       }
-    } catch (metaError) {
-      console.log('Could not extract metadata, using defaults');
     }
 
-    const track = {
-      id: Date.now().toString(),
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      url: `/uploads/music/${req.file.filename}`,
-      size: req.file.size,
-      uploadDate: new Date().toISOString(),
-      ...metadata
-    };
+    report.push(...await importFileGroup(looseFiles, allowDuplicate));
 
-    const tracks = readTracks();
-    tracks.push(track);
-    writeTracks(tracks);
+    const summary = { imported: 0, duplicate: 0, rejected: 0 };
+    report.forEach(entry => summary[entry.status]++);
+
+    res.json({
+      success: true,
+      message: `${summary.imported} track(s) imported`,
+      summary: summary,
+      results: report
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  } finally {
+    // Imported audio has been moved to /uploads/music; drop the rest
+    uploaded.forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+    extractDirs.forEach(dir => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {}));
+  }
+});
+
+// ============================================
+// CHUNKED UPLOADS (resumable)
+// ============================================
+// 1. POST   /uploads                        start a session { filename, size, chunkSize }
+// 2. PUT    /uploads/:uploadId/chunks/:index store one chunk (raw bytes)
+// 3. GET    /uploads/:uploadId               which chunks are stored (to resume)
+// 4. POST   /uploads/:uploadId/complete      join the chunks and import the track
+//    DELETE /uploads/:uploadId               cancel the upload
+
+const sidecarFields = upload.fields([
+  { name: 'cover', maxCount: 1 },
+  { name: 'lyrics', maxCount: 1 }
+]);
+
+// Session info plus the list of chunks already stored
+const describeSession = async (session) => ({
+  ...session,
+  received: await uploadSessions.getReceivedChunks(session)
+});
+
+router.post('/uploads', async (req, res) => {
+  try {
+    const { filename, chunkSize } = req.body;
+    const size = Number(req.body.size);
+
+    if (!filename || !importer.isAudioFile(filename)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Only audio files are allowed! (mp3, wav, ogg, m4a, flac, aac)' 
+      });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'File size is required' 
+      });
+    }
+
+    if (size > uploadSessions.MAX_FILE_SIZE) {
+      return res.status(413).json({ 
+        success: false, 
+        error: 'File is too large' 
+      });
+    }
+
+    // Good moment to clean up uploads that were never finished
+    uploadSessions.sweepExpired().catch(error => console.log('Could not sweep uploads:', error.message));
+
+    const session = await uploadSessions.createSession({ filename, size, chunkSize });
+    res.status(201).json({
+      success: true,
+      upload: await describeSession(session)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+router.get('/uploads/:uploadId', async (req, res) => {
+  try {
+    const session = await uploadSessions.getSession(req.params.uploadId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Upload not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      upload: await describeSession(session)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * Read and discard the rest of a request body, then call done
+ * Answering without reading the body would reset the connection, which
+ * clients take for a network error and retry
+ */
+const drainBody = (req, done) => {
+  if (req.complete) return done();
+  req.on('end', done);
+  req.resume();
+};
+
+router.put('/uploads/:uploadId/chunks/:index', async (req, res) => {
+  try {
+    const session = await uploadSessions.getSession(req.params.uploadId);
+    if (!session) {
+      return drainBody(req, () => res.status(404).json({ 
+        success: false, 
+        error: 'Upload not found' 
+      }));
+    }
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      return drainBody(req, () => res.status(400).json({ 
+        success: false, 
+        error: 'Invalid chunk index' 
+      }));
+    }
+
+    // Refuse wrongly sized chunks without storing them
+    const expected = uploadSessions.expectedChunkSize(session, index);
+    const declared = req.headers['content-length'];
+    if (declared !== undefined && Number(declared) !== expected) {
+      return drainBody(req, () => res.status(400).json({ 
+        success: false, 
+        error: `Chunk ${index} must be ${expected} bytes` 
+      }));
+    }
+
+    const stored = await uploadSessions.writeChunk(session, index, req);
+    if (!stored) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Chunk ${index} must be ${expected} bytes` 
+      });
+    }
+
+    res.json({
+      success: true,
+      index: index
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+router.post('/uploads/:uploadId/complete', sidecarFields, async (req, res) => {
+  const coverFile = req.files && req.files.cover ? req.files.cover[0] : null;
+  const lyricsFile = req.files && req.files.lyrics ? req.files.lyrics[0] : null;
+  let filePath = null;
+
+  try {
+    const session = await uploadSessions.getSession(req.params.uploadId);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Upload not found' 
+      });
+    }
+
+    const received = new Set(await uploadSessions.getReceivedChunks(session));
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!received.has(index)) missing.push(index);
+    }
+
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Upload is incomplete',
+        missing: missing
+      });
+    }
+
+    filePath = await uploadSessions.assemble(session, TMP_DIR);
+    await uploadSessions.removeSession(session.uploadId);
+
+    const result = await importer.importTrack({
+      filePath: filePath,
+      originalName: session.filename,
+      fields: req.body,
+      coverPath: coverFile && coverFile.path,
+      lyricsPath: lyricsFile && lyricsFile.path,
+      allowDuplicate: req.query.allowDuplicate === 'true'
+    });
+
+    if (result.status === 'duplicate') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'This file is already in your library',
+        duplicate: true,
+        track: result.track
+      });
+    }
 
     res.status(201).json({
       success: true,
       message: 'Track uploaded successfully!',
-      track: track
+      track: result.track
+    });
+  } catch (error) {
+    // Do not leave the assembled file behind when the import fails
+    // (it is gone already if the import moved it into the library)
+    if (filePath) fs.promises.unlink(filePath).catch(() => {});
+
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  } finally {
+    [coverFile, lyricsFile].filter(Boolean).forEach(file => {
+      fs.promises.unlink(file.path).catch(() => {});
+    });
+  }
+});
+
+router.delete('/uploads/:uploadId', async (req, res) => {
+  try {
+    await uploadSessions.removeSession(req.params.uploadId);
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// FIND DUPLICATE TRACKS
+// ============================================
+router.get('/duplicates', async (req, res) => {
+  try {
+    const tracks = await db.tracks.getAll();
+    const { byHash, byMetadata } = duplicates.findDuplicates(tracks);
+
+    res.json({
+      success: true,
+      count: byHash.length + byMetadata.length,
+      byHash: byHash,
+      byMetadata: byMetadata
     });
   } catch (error) {
     res.status(500).json({ 
@@ -114,10 +530,9 @@ router.post('/upload', upload.single('audio'), async (req, res) => {
 // ============================================
 // GET SINGLE TRACK BY ID
 // ============================================
-router.get('/:id', (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    const tracks = readTracks();
-    const track = tracks.find(t => t.id === req.params.id);
+    const track = await db.tracks.getById(req.params.id);
     
     if (!track) {
       return res.status(404).json({ 
@@ -138,12 +553,263 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// ============================================
+// STREAM TRACK AUDIO (supports Range requests)
+// ============================================
+router.get('/:id/stream', async (req, res) => {
+  try {
+    const track = await db.tracks.getById(req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Track not found' 
+      });
+    }
+
+    const filePath = path.join(MUSIC_DIR, track.filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Audio file not found' 
+      });
+    }
+
+    const stat = fs.statSync(filePath);
+    const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const lastModified = stat.mtime.toUTCString();
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Last-Modified': lastModified,
+      'Cache-Control': 'no-cache'
+    });
+
+    // Conditional GET: the browser already has this exact file
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if ((ifNoneMatch && ifNoneMatch === etag) ||
+        (!ifNoneMatch && ifModifiedSince && Date.parse(ifModifiedSince) >= Math.floor(stat.mtimeMs / 1000) * 1000)) {
+      return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+
+    // If-Range: only honour the range when the validator still matches
+    const ifRange = req.headers['if-range'];
+    const rangeHeader = (!ifRange || ifRange === etag || ifRange === lastModified) ? req.headers.range : undefined;
+
+    if (rangeHeader) {
+      const range = parseRange(rangeHeader, stat.size);
+
+      if (range === false) {
+        res.set('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).json({ 
+          success: false, 
+          error: 'Requested range not satisfiable' 
+        });
+      }
+
+      if (range) {
+        start = range.start;
+        end = range.end;
+        res.status(206);
+        res.set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+      }
+    }
+
+    res.set({
+      'Content-Type': getAudioMimeType(track.filename),
+      'Content-Length': stat.size === 0 ? 0 : end - start + 1
+    });
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+      return res.end();
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (streamError) => {
+      console.error('Error streaming track:', streamError.message);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// GET TRACK ARTWORK (?size=64|128|256|512 for thumbnails)
+// ============================================
+router.get('/:id/artwork', async (req, res) => {
+  try {
+    let size = null;
+    if (req.query.size !== undefined) {
+      // Digits only: parseInt would accept "64abc"
+      size = /^\d+$/.test(req.query.size) ? Number(req.query.size) : null;
+      if (!artwork.THUMBNAIL_SIZES.includes(size)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Invalid size. Use one of: ${artwork.THUMBNAIL_SIZES.join(', ')}` 
+        });
+      }
+    }
+
+    const track = await db.tracks.getById(req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Track not found' 
+      });
+    }
+
+    const artworkPath = await artwork.getArtworkPath(track, size);
+    if (!artworkPath) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No artwork for this track' 
+      });
+    }
+
+    // URLs carry the artwork hash (?v=...), so they can be cached for long
+    res.sendFile(artworkPath, { maxAge: '7d' });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// GET TRACK LYRICS
+// ============================================
+router.get('/:id/lyrics', async (req, res) => {
+  try {
+    const track = await db.tracks.getById(req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Track not found' 
+      });
+    }
+
+    const trackLyrics = await lyrics.loadLyrics(track);
+    if (!trackLyrics) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No lyrics for this track' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      lyrics: trackLyrics 
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// ATTACH LYRICS (.lrc upload or JSON { lyrics: "..." })
+// ============================================
+router.put('/:id/lyrics', upload.single('lyrics'), async (req, res) => {
+  try {
+    const track = await db.tracks.getById(req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Track not found' 
+      });
+    }
+
+    const text = req.file
+      ? await fs.promises.readFile(req.file.path, 'utf8')
+      : req.body.lyrics;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Lyrics are required (upload an .lrc file or send lyrics text)' 
+      });
+    }
+
+    const summary = await lyrics.saveLyrics(track.id, text, req.file ? 'lrc' : 'manual');
+    if (!summary) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No lyrics found in the provided text' 
+      });
+    }
+
+    const updated = await db.tracks.update(track.id, { lyrics: summary });
+
+    res.json({ 
+      success: true, 
+      message: 'Lyrics saved successfully',
+      track: updated,
+      lyrics: await lyrics.loadLyrics(updated)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// ============================================
+// REMOVE LYRICS
+// ============================================
+router.delete('/:id/lyrics', async (req, res) => {
+  try {
+    const track = await db.tracks.getById(req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Track not found' 
+      });
+    }
+
+    await lyrics.removeLyrics(track);
+    const updated = await db.tracks.update(track.id, { lyrics: null });
+
+    res.json({ 
+      success: true, 
+      message: 'Lyrics removed',
+      track: updated
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
 // ============================================
 // SEARCH TRACKS
 // ============================================
-router.get('/search/:query', (req, res) => {
+router.get('/search/:query', async (req, res) => {
   try {
-    const tracks = readTracks();
+    const tracks = await db.tracks.getAll();
     const query = req.params.query.toLowerCase();
     
     const results = tracks.filter(track => 
@@ -166,32 +832,291 @@ router.get('/search/:query', (req, res) => {
   }
 });
 
+/**
+ * Delete tracks: audio files, artwork, lyrics and database records,
+ * along with their playlist entries and play history
+ * @param {Array<Object>} tracks
+ */
+const deleteTracks = async (tracks) => {
+  for (const track of tracks) {
+    const filePath = path.join(MUSIC_DIR, track.filename);
+    
+    // Delete file from disk
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    
+    await artwork.removeArtwork(track);
+    await lyrics.removeLyrics(track);
+    
+    // Remove from database
+    await db.tracks.remove(track.id);
+  }
+  
+  const deleted = new Set(tracks.map(track => track.id));
+  if (deleted.size === 0) return;
+  
+  // Playlists saved before entries existed still list bare IDs in `tracks`
+  const playlists = (await db.playlists.getAll()).filter(playlist =>
+    (playlist.entries || []).some(entry => deleted.has(entry.trackId)) ||
+    (playlist.tracks || []).some(id => deleted.has(id)));
+  for (const playlist of playlists) {
+    await db.playlists.update(playlist.id, current => {
+      const fields = {};
+      if (Array.isArray(current.entries)) fields.entries = current.entries.filter(entry => !deleted.has(entry.trackId));
+      if (Array.isArray(current.tracks)) fields.tracks = current.tracks.filter(id => !deleted.has(id));
+      return fields;
+    });
+  }
+  
+  await db.history.removeWhere(entry => deleted.has(entry.trackId));
+};
+
+// Metadata fields clients may change (the same ones written into file tags)
+const EDITABLE_FIELDS = tagWriter.TAG_FIELDS;
+const NUMBER_FIELDS = ['year', 'trackNumber', 'discNumber'];
+const CLEARABLE_FIELDS = ['albumArtist', 'year', 'trackNumber', 'discNumber'];
+
+// Multipart requests (sent with a cover image) carry arrays and objects as JSON text
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Track IDs from a bulk request body, without duplicates
+ * Sends a 400 response and returns null when there are none
+ * @returns {Array|null}
+ */
+const readTrackIds = (req, res) => {
+  const trackIds = parseJsonField(req.body.trackIds);
+  
+  if (!Array.isArray(trackIds) || trackIds.length === 0 || !trackIds.every(id => typeof id === 'string')) {
+    res.status(400).json({ 
+      success: false, 
+      error: 'trackIds must be a non-empty array of track IDs' 
+    });
+    return null;
+  }
+  
+  return [...new Set(trackIds)];
+};
+
+/**
+ * Check metadata changes sent by a client
+ * Empty values leave a field as it is; null clears the optional fields
+ * @param {Object} input - Field values
+ * @returns {Object} { changes } or { error } with a message for the client
+ */
+const readChanges = (input = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'changes must be an object of field values' };
+  }
+  
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    const value = input[field];
+    if (value === null && CLEARABLE_FIELDS.includes(field)) {
+      changes[field] = null;
+    } else if (value !== undefined && value !== null && String(value).trim() !== '') {
+      if (NUMBER_FIELDS.includes(field)) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1 || number > 9999) {
+          return { error: `${field} must be a whole number between 1 and 9999` };
+        }
+        changes[field] = number;
+      } else {
+        changes[field] = String(value).trim();
+      }
+    }
+  }
+  
+  return { changes };
+};
+
+/**
+ * Read the cover art and tag options of a metadata edit
+ * Sends a 400 response and returns null when the uploaded cover is not an image
+ * @returns {Promise<Object|null>} { cover, removeCover, writeTags }
+ */
+const readEditOptions = async (req, res) => {
+  const flag = (value) => value === true || value === 'true';
+  
+  let cover = null;
+  if (req.file) {
+    try {
+      cover = await artwork.readCoverImage(req.file.path);
+    } catch (error) {
+      res.status(400).json({ 
+        success: false, 
+        error: error.message 
+      });
+      return null;
+    }
+  }
+  
+  return {
+    cover: cover,
+    removeCover: !cover && flag(req.body.removeCover),
+    writeTags: flag(req.body.writeTags)
+  };
+};
+
+/**
+ * Apply a metadata edit to one track: the library record, its artwork
+ * and, when asked, the tags inside its audio file
+ * @param {Object} track - Track to edit
+ * @param {Object} changes - Checked field changes (see readChanges)
+ * @param {Object} options - Result of readEditOptions
+ * @returns {Promise<Object>} { track, tagError } where tagError says why the
+ *   file could not be tagged (null if it was, or if that was not asked for)
+ */
+const editTrack = async (track, changes, { cover, removeCover, writeTags }) => {
+  const update = { ...changes };
+  if (cover) {
+    update.artwork = await artwork.replaceArtwork(track, cover);
+  } else if (removeCover) {
+    await artwork.removeArtwork(track);
+    update.artwork = null;
+  }
+  
+  const updated = await db.tracks.update(track.id, update);
+  if (!writeTags) return { track: updated, tagError: null };
+  
+  if (!tagWriter.canWriteTags(track.filename)) {
+    return { track: updated, tagError: `Tags cannot be written to ${path.extname(track.filename)} files` };
+  }
+  
+  // The file gets the library's values, except stand-ins like "Unknown Artist"
+  const tags = {};
+  EDITABLE_FIELDS.forEach(field => {
+    tags[field] = updated[field] === importer.PLACEHOLDERS[field] ? null : updated[field];
+  });
+  
+  const filePath = path.join(MUSIC_DIR, track.filename);
+  try {
+    await tagWriter.writeTags(filePath, tags, cover || (removeCover ? null : undefined));
+  } catch (error) {
+    return { track: updated, tagError: error.message };
+  }
+  
+  // A changed file has a new size and hash
+  const stat = await fs.promises.stat(filePath);
+  return {
+    track: await db.tracks.update(track.id, { size: stat.size, hash: await duplicates.hashFile(filePath) }),
+    tagError: null
+  };
+};
+
 // ============================================
-// DELETE TRACK
+// BULK DELETE TRACKS
+// Body: { trackIds: [...] }; unknown IDs are reported in notFound
 // ============================================
-router.delete('/:id', (req, res) => {
+router.post('/bulk/delete', async (req, res) => {
   try {
-    const tracks = readTracks();
-    const trackIndex = tracks.findIndex(t => t.id === req.params.id);
+    const trackIds = readTrackIds(req, res);
+    if (!trackIds) return;
     
-    if (trackIndex === -1) {
-      return res.status(404).json({ 
+    const tracks = await db.tracks.getByIds(trackIds);
+    await deleteTracks(tracks);
+    
+    const deleted = tracks.map(track => track.id);
+    res.json({ 
+      success: true, 
+      message: `Deleted ${deleted.length} track${deleted.length === 1 ? '' : 's'}`,
+      deleted: deleted,
+      notFound: trackIds.filter(id => !deleted.includes(id))
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// ============================================
+// BULK UPDATE TRACK METADATA
+// Body: { trackIds: [...], changes: { artist, album, ... }, removeCover, writeTags }
+// or multipart/form-data with the same fields (trackIds and changes as JSON)
+// and an optional "cover" image
+// The same changes are applied to every track; empty fields are left as they are.
+// With writeTags, each file's tags are rewritten from the library; files that
+// could not be tagged are listed in tagErrors
+// ============================================
+router.put('/bulk', upload.single('cover'), async (req, res) => {
+  try {
+    const trackIds = readTrackIds(req, res);
+    if (!trackIds) return;
+    
+    const { changes, error } = readChanges(parseJsonField(req.body.changes));
+    if (error) {
+      return res.status(400).json({ 
         success: false, 
-        error: 'Track not found' 
+        error: error 
       });
     }
     
-    const track = tracks[trackIndex];
-    const filePath = path.join(__dirname, '../uploads/music', track.filename);
+    const options = await readEditOptions(req, res);
+    if (!options) return;
     
-    // Delete file from disk
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    if (Object.keys(changes).length === 0 && !options.cover && !options.removeCover && !options.writeTags) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Nothing to change: set one of ${EDITABLE_FIELDS.join(', ')}, a cover or writeTags` 
+      });
     }
     
-    // Remove from database
-    tracks.splice(trackIndex, 1);
-    writeTracks(tracks);
+    const results = [];
+    for (const id of trackIds) {
+      const track = await db.tracks.getById(id);
+      if (track) results.push(await editTrack(track, changes, options));
+    }
+    
+    const tracks = results.map(result => result.track);
+    const tagErrors = results
+      .filter(result => result.tagError)
+      .map(result => ({ trackId: result.track.id, title: result.track.title, error: result.tagError }));
+    const tagged = options.writeTags ? `; tags written to ${results.length - tagErrors.length} files` : '';
+    
+    res.json({ 
+      success: true, 
+      message: `Updated ${tracks.length} track${tracks.length === 1 ? '' : 's'}${tagged}`,
+      tracks: tracks,
+      tagErrors: tagErrors,
+      notFound: trackIds.filter(id => !tracks.some(track => track.id === id))
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// ============================================
+// DELETE TRACK
+// ============================================
+router.delete('/:id', async (req, res) => {
+  try {
+    const track = await db.tracks.getById(req.params.id);
+    
+    if (!track) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Track not found' 
+      });
+    }
+    
+    await deleteTracks([track]);
     
     res.json({ 
       success: true, 
@@ -207,39 +1132,48 @@ router.delete('/:id', (req, res) => {
 
 // ============================================
 // UPDATE TRACK METADATA
+// Body: field values (see EDITABLE_FIELDS), removeCover, writeTags;
+// as multipart/form-data it may also carry a "cover" image
 // ============================================
-router.put('/:id', (req, res) => {
+router.put('/:id', upload.single('cover'), async (req, res) => {
   try {
-    const tracks = readTracks();
-    const trackIndex = tracks.findIndex(t => t.id === req.params.id);
+    const track = await db.tracks.getById(req.params.id);
     
-    if (trackIndex === -1) {
+    if (!track) {
       return res.status(404).json({ 
         success: false, 
         error: 'Track not found' 
       });
     }
     
-    // Update allowed fields
-    const allowedUpdates = ['title', 'artist', 'album', 'genre'];
-    allowedUpdates.forEach(field => {
-      if (req.body[field]) {
-        tracks[trackIndex][field] = req.body[field];
-      }
-    });
+    const { changes, error } = readChanges(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: error 
+      });
+    }
+    
+    const options = await readEditOptions(req, res);
+    if (!options) return;
     
-    writeTracks(tracks);
+    const result = await editTrack(track, changes, options);
     
     res.json({ 
       success: true, 
       message: 'Track updated successfully',
-      track: tracks[trackIndex]
+      track: result.track,
+      tagError: result.tagError
     });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
       error: error.message 
     });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
   }
 });
 
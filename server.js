@@ -13,6 +13,11 @@ const path = require('path');
 // Import routes from backend folder
 const tracksRouter = require('./routes/tracks');
 const playlistsRouter = require('./routes/playlists');
+const sessionRouter = require('./routes/session');
+const historyRouter = require('./routes/history');
+const statsRouter = require('./routes/stats');
+const db = require('./db');
+const duplicates = require('./services/duplicates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,6 +29,9 @@ app.use(express.json());
 // API Routes
 app.use('/api/tracks', tracksRouter);
 app.use('/api/playlists', playlistsRouter);
+app.use('/api/session', sessionRouter);
+app.use('/api/history', historyRouter);
+app.use('/api/stats', statsRouter);
 
 // Serve frontend files
 app.use(express.static(path.join(__dirname, 'frontend')));
@@ -55,15 +63,15 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files (frontend)
 app.use(express.static(path.join(__dirname, '../frontend')));
 
-// Serve uploaded music files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // ============================================
 // CREATE REQUIRED DIRECTORIES & FILES
 // ============================================
 
 const directories = [
   path.join(__dirname, 'uploads/music'),
+  path.join(__dirname, 'uploads/artwork'),
+  path.join(__dirname, 'uploads/lyrics'),
+  path.join(__dirname, 'uploads/tmp'),
   path.join(__dirname, 'data')
 ];
 
@@ -85,12 +93,22 @@ const initFile = (filePath, defaultData) => {
 initFile(path.join(__dirname, 'data/tracks.json'), []);
 initFile(path.join(__dirname, 'data/playlists.json'), []);
 
+// Tracks uploaded before hashing existed get their hash in the background
+duplicates.backfillHashes(db.tracks, path.join(__dirname, 'uploads/music'))
+  .then(count => {
+    if (count > 0) console.log(`✅ Hashed ${count} track(s) for duplicate detection`);
+  })
+  .catch(error => console.error('❌ Could not hash tracks:', error.message));
+
 // ============================================
 // API ROUTES
 // ============================================
 
 app.use('/api/tracks', tracksRouter);
 app.use('/api/playlists', playlistsRouter);
+app.use('/api/session', sessionRouter);
+app.use('/api/history', historyRouter);
+app.use('/api/stats', statsRouter);
 
 // Root endpoint
 app.get('/api', (req, res) => {
@@ -99,7 +117,10 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       tracks: '/api/tracks',
-      playlists: '/api/playlists'
+      playlists: '/api/playlists',
+      session: '/api/session',
+      history: '/api/history',
+      stats: '/api/stats'
     }
   });
 });
@@ -0,0 +1,123 @@
+/**
+ * ARCHIVE SERVICE
+ * Unpacks uploaded ZIP archives for batch import
+ * - Entries are streamed to disk one at a time (no whole archive in memory)
+ * - Paths are sanitized so entries cannot escape the target folder
+ * - Size limits guard against zip bombs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;      // 50MB per file, same as a single upload
+const MAX_TOTAL_SIZE = 2 * 1024 * 1024 * 1024; // 2GB per archive
+const MAX_ENTRIES = 1000;
+
+const isZipFile = (filename) => path.extname(filename).toLowerCase() === '.zip';
+
+// Finder/Explorer leftovers that are never worth reporting
+const isJunkEntry = (name) => {
+  return name.startsWith('__MACOSX/') ||
+    name.split('/').some(part => part.startsWith('.')) ||
+    /(^|\/)(thumbs\.db|desktop\.ini)$/i.test(name);
+};
+
+const openZip = (zipPath) => new Promise((resolve, reject) => {
+  yauzl.open(zipPath, { lazyEntries: true, decodeStrings: true }, (error, zipfile) => {
+    if (error) reject(error);
+    else resolve(zipfile);
+  });
+});
+
+const writeEntry = (zipfile, entry, targetPath) => new Promise((resolve, reject) => {
+  zipfile.openReadStream(entry, (error, readStream) => {
+    if (error) return reject(error);
+
+    const writeStream = fs.createWriteStream(targetPath);
+    readStream.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('finish', resolve);
+    readStream.pipe(writeStream);
+  });
+});
+
+/**
+ * Extract a ZIP archive
+ * @param {string} zipPath - Archive on disk
+ * @param {string} targetDir - Folder to extract into (created if missing)
+ * @param {Function} accept - Called with each entry name; only accepted entries are written
+ * @returns {Promise<Array>} One item per file entry:
+ *   { name, path } when extracted, { name, error } when skipped
+ */
+const extractZip = async (zipPath, targetDir, accept = () => true) => {
+  const zipfile = await openZip(zipPath);
+  const results = [];
+  let totalSize = 0;
+  let entryCount = 0;
+
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    const fail = (error) => {
+      zipfile.close();
+      reject(error);
+    };
+
+    zipfile.on('error', fail);
+    zipfile.on('end', () => resolve(results));
+
+    zipfile.on('entry', async (entry) => {
+      try {
+        const name = entry.fileName;
+
+        // Directories and junk files are skipped silently
+        if (name.endsWith('/') || isJunkEntry(name)) {
+          return zipfile.readEntry();
+        }
+
+        entryCount++;
+        if (entryCount > MAX_ENTRIES) {
+          return fail(new Error(`Archive has more than ${MAX_ENTRIES} files`));
+        }
+
+        if (!accept(name)) {
+          results.push({ name, error: 'Unsupported file type' });
+          return zipfile.readEntry();
+        }
+
+        if (entry.uncompressedSize > MAX_ENTRY_SIZE) {
+          results.push({ name, error: 'File is too large' });
+          return zipfile.readEntry();
+        }
+
+        totalSize += entry.uncompressedSize;
+        if (totalSize > MAX_TOTAL_SIZE) {
+          return fail(new Error('Archive is too large once unpacked'));
+        }
+
+        // Keep the folder structure so sidecars stay next to their audio,
+        // but never allow an entry to land outside targetDir
+        const targetPath = path.resolve(targetDir, path.normalize(name).replace(/^(\.\.(\/|\\|$))+/, ''));
+        if (!targetPath.startsWith(path.resolve(targetDir) + path.sep)) {
+          results.push({ name, error: 'Invalid path in archive' });
+          return zipfile.readEntry();
+        }
+
+        await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+        await writeEntry(zipfile, entry, targetPath);
+        results.push({ name, path: targetPath });
+        zipfile.readEntry();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    zipfile.readEntry();
+  });
+};
+
+module.exports = {
+  isZipFile,
+  extractZip
+};
@@ -0,0 +1,195 @@
+/**
+ * ARTWORK SERVICE
+ * Extracts cover art for tracks and serves resized thumbnails
+ * - Embedded pictures (ID3 APIC, FLAC PICTURE, MP4 covr...) come first
+ * - Sidecar images (cover.jpg, folder.png...) are used as a fallback
+ * - Covers uploaded in the metadata editor replace either
+ * - Originals live in /uploads/artwork, thumbnails are generated on
+ *   first request and cached in /uploads/artwork/thumbs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mm = require('music-metadata');
+const sharp = require('sharp');
+
+const ARTWORK_DIR = path.join(__dirname, '../uploads/artwork');
+const THUMBS_DIR = path.join(ARTWORK_DIR, 'thumbs');
+
+// Only these sizes are generated, so clients cannot fill the disk
+const THUMBNAIL_SIZES = [64, 128, 256, 512];
+
+// Sidecar file names, in order of preference
+const SIDECAR_NAMES = ['cover', 'folder', 'front', 'album'];
+const SIDECAR_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Uploaded covers are embedded in audio files, so keep them reasonably small
+const MAX_COVER_SIZE = 10 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+// Tags store the format as "image/jpeg", "jpg", "PNG"...
+const normalizeMimeType = (format) => {
+  const type = (format || '').toLowerCase();
+  const mimeType = type.includes('/') ? type : `image/${type}`;
+  return mimeType === 'image/jpg' ? 'image/jpeg' : mimeType;
+};
+
+/**
+ * Check whether a file name looks like album art (cover.jpg, Folder.png...)
+ * @param {string} filename - File name to check
+ * @returns {boolean}
+ */
+const isSidecarName = (filename) => {
+  const ext = path.extname(filename).toLowerCase();
+  const name = path.basename(filename, path.extname(filename)).toLowerCase();
+  return SIDECAR_NAMES.includes(name) && SIDECAR_EXTENSIONS.includes(ext);
+};
+
+const saveArtwork = async (trackId, data, mimeType, source) => {
+  const ext = IMAGE_EXTENSIONS[mimeType];
+  if (!ext || !data || data.length === 0) return null;
+
+  await fs.promises.mkdir(ARTWORK_DIR, { recursive: true });
+  const filename = `${trackId}${ext}`;
+  await fs.promises.writeFile(path.join(ARTWORK_DIR, filename), data);
+
+  return {
+    filename,
+    mimeType,
+    source,
+    // Changes whenever the image does; used to bust client caches
+    hash: crypto.createHash('sha1').update(data).digest('hex').slice(0, 12)
+  };
+};
+
+/**
+ * Store artwork for a newly imported track
+ * @param {string} trackId - ID of the track
+ * @param {Object|null} audioMetadata - Result of mm.parseFile
+ * @param {string|null} sidecarPath - Optional sidecar image to fall back to
+ * @returns {Promise<Object|null>} Artwork info to save on the track
+ */
+const extractArtwork = async (trackId, audioMetadata, sidecarPath = null) => {
+  const pictures = audioMetadata && audioMetadata.common && audioMetadata.common.picture;
+  const picture = mm.selectCover(pictures);
+
+  if (picture) {
+    const saved = await saveArtwork(trackId, picture.data, normalizeMimeType(picture.format), 'embedded');
+    if (saved) return saved;
+  }
+
+  if (sidecarPath) {
+    const ext = path.extname(sidecarPath).toLowerCase();
+    const data = await fs.promises.readFile(sidecarPath);
+    return saveArtwork(trackId, data, normalizeMimeType(ext.slice(1)), 'sidecar');
+  }
+
+  return null;
+};
+
+/**
+ * Read an uploaded cover image
+ * @param {string} filePath - Image on disk
+ * @returns {Promise<Object>} { data, mimeType, width, height }
+ * @throws {Error} If the file is not a JPG or PNG image, or is larger than MAX_COVER_SIZE
+ */
+const readCoverImage = async (filePath) => {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_COVER_SIZE) {
+    throw new Error(`Cover art must be smaller than ${MAX_COVER_SIZE / (1024 * 1024)}MB`);
+  }
+
+  const data = await fs.promises.readFile(filePath);
+  let info;
+  try {
+    info = await sharp(data).metadata();
+  } catch (error) {
+    info = {};
+  }
+  if (!['jpeg', 'png'].includes(info.format)) {
+    throw new Error('Cover art must be a JPG or PNG image');
+  }
+  return { data, mimeType: normalizeMimeType(info.format), width: info.width, height: info.height };
+};
+
+/**
+ * Replace a track's artwork with an uploaded image
+ * @param {Object} track - Track object
+ * @param {Object} cover - Result of readCoverImage
+ * @returns {Promise<Object|null>} Artwork info to save on the track
+ */
+const replaceArtwork = async (track, cover) => {
+  await removeArtwork(track);
+  return saveArtwork(track.id, cover.data, cover.mimeType, 'upload');
+};
+
+/**
+ * Resolve the file to send for a track's artwork
+ * @param {Object} track - Track object
+ * @param {number|null} size - Thumbnail size, or null for the original
+ * @returns {Promise<string|null>} Path to the image, or null if none
+ */
+const getArtworkPath = async (track, size = null) => {
+  if (!track.artwork) return null;
+
+  const original = path.join(ARTWORK_DIR, track.artwork.filename);
+  if (!fs.existsSync(original)) return null;
+  if (!size) return original;
+
+  const thumbPath = path.join(THUMBS_DIR, `${track.id}-${track.artwork.hash}-${size}.jpg`);
+  if (fs.existsSync(thumbPath)) return thumbPath;
+
+  // Unique per request, so concurrent requests for the same thumbnail never share a temp file
+  const tmpPath = `${thumbPath}.${process.pid}-${Date.now()}-${Math.round(Math.random() * 1E9)}.tmp`;
+  try {
+    await fs.promises.mkdir(THUMBS_DIR, { recursive: true });
+    await sharp(original)
+      .resize(size, size, { fit: 'cover' })
+      .jpeg({ quality: 82 })
+      .toFile(tmpPath);
+    await fs.promises.rename(tmpPath, thumbPath);
+    return thumbPath;
+  } catch (error) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    // Unreadable image: better to send the original than nothing
+    console.error('Could not create thumbnail:', error.message);
+    return original;
+  }
+};
+
+/**
+ * Delete a track's artwork and any cached thumbnails
+ * @param {Object} track - Track object
+ */
+const removeArtwork = async (track) => {
+  if (!track.artwork) return;
+
+  const files = [path.join(ARTWORK_DIR, track.artwork.filename)];
+  try {
+    const thumbs = await fs.promises.readdir(THUMBS_DIR);
+    thumbs
+      .filter(file => file.startsWith(`${track.id}-`))
+      .forEach(file => files.push(path.join(THUMBS_DIR, file)));
+  } catch (error) {
+    // No thumbnails generated yet
+  }
+
+  await Promise.all(files.map(file => fs.promises.unlink(file).catch(() => {})));
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  isSidecarName,
+  extractArtwork,
+  readCoverImage,
+  replaceArtwork,
+  getArtworkPath,
+  removeArtwork
+};
@@ -0,0 +1,122 @@
+/**
+ * DUPLICATES SERVICE
+ * Content hashing for uploads and duplicate detection across the library
+ * - Exact duplicates share the same SHA-256 of the file contents
+ * - Likely duplicates share a normalized title + artist and have
+ *   (nearly) the same duration, e.g. the same song in MP3 and FLAC
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Durations closer than this (seconds) count as "the same length"
+const DURATION_TOLERANCE = 2;
+
+/**
+ * Compute the SHA-256 hash of a file without loading it in memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Hash tracks uploaded before hashing existed, so they take part in
+ * duplicate detection. Run once at startup
+ * @param {Object} tracks - Tracks collection
+ * @param {string} musicDir - Folder holding the audio files
+ * @returns {Promise<number>} Number of tracks hashed
+ */
+const backfillHashes = async (tracks, musicDir) => {
+  const unhashed = (await tracks.getAll()).filter(t => !t.hash);
+  let hashed = 0;
+
+  for (const track of unhashed) {
+    const filePath = path.join(musicDir, track.filename);
+    if (fs.existsSync(filePath)) {
+      await tracks.update(track.id, { hash: await hashFile(filePath) });
+      hashed++;
+    }
+  }
+
+  return hashed;
+};
+
+// "Café  del Mar (Remastered)!" -> "cafe del mar remastered"
+const normalize = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Group tracks that are likely duplicates of each other
+ * @param {Array} tracks - All tracks (with a hash where known)
+ * @returns {Object} { byHash: [{ hash, tracks }], byMetadata: [{ title, artist, tracks }] }
+ */
+const findDuplicates = (tracks) => {
+  // Exact copies
+  const hashGroups = new Map();
+  tracks.filter(t => t.hash).forEach(track => {
+    if (!hashGroups.has(track.hash)) hashGroups.set(track.hash, []);
+    hashGroups.get(track.hash).push(track);
+  });
+
+  const byHash = [...hashGroups.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([hash, group]) => ({ hash, tracks: group }));
+
+  // Same song, possibly a different file
+  const metadataGroups = new Map();
+  tracks.forEach(track => {
+    const title = normalize(track.title);
+    if (!title) return;
+    const key = `${title}|${normalize(track.artist)}`;
+    if (!metadataGroups.has(key)) metadataGroups.set(key, []);
+    metadataGroups.get(key).push(track);
+  });
+
+  const byMetadata = [];
+  metadataGroups.forEach((group, key) => {
+    if (group.length < 2) return;
+
+    // Split the group wherever consecutive durations drift too far apart
+    const sorted = [...group].sort((a, b) => (a.duration || 0) - (b.duration || 0));
+    let cluster = [sorted[0]];
+    const flush = () => {
+      // Skip clusters that are nothing but exact copies (already reported)
+      const hashes = new Set(cluster.map(t => t.hash || t.id));
+      if (cluster.length > 1 && hashes.size > 1) {
+        const [title, artist] = key.split('|');
+        byMetadata.push({ title, artist, tracks: cluster });
+      }
+    };
+
+    sorted.slice(1).forEach(track => {
+      const previous = cluster[cluster.length - 1];
+      if (Math.abs((track.duration || 0) - (previous.duration || 0)) <= DURATION_TOLERANCE) {
+        cluster.push(track);
+      } else {
+        flush();
+        cluster = [track];
+      }
+    });
+    flush();
+  });
+
+  return { byHash, byMetadata };
+};
+
+module.exports = {
+  hashFile,
+  backfillHashes,
+  findDuplicates,
+  normalize
+};
@@ -0,0 +1,214 @@
+/**
+ * IMPORT SERVICE
+ * Turns an audio file on disk into a track in the library
+ * Shared by single uploads, batch uploads and ZIP imports:
+ * - Duplicate check by content hash
+ * - Metadata extraction with music-metadata
+ * - Cover art and lyrics extraction (embedded or sidecar files)
+ * - ReplayGain values for loudness normalization during playback
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mm = require('music-metadata');
+const db = require('../db');
+const artwork = require('./artwork');
+const lyrics = require('./lyrics');
+const duplicates = require('./duplicates');
+
+const MUSIC_DIR = path.join(__dirname, '../uploads/music');
+const MAX_AUDIO_SIZE = 50 * 1024 * 1024; // 50MB, same as the upload middleware
+
+// Content-Type to send for each supported audio extension
+const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac'
+};
+
+// Pick the Content-Type for an audio file
+const getAudioMimeType = (filename) => {
+  return AUDIO_MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+};
+
+const isAudioFile = (filename) => {
+  return Object.prototype.hasOwnProperty.call(AUDIO_MIME_TYPES, path.extname(filename).toLowerCase());
+};
+
+// Same naming scheme as the upload middleware: name-timestamp-random.ext
+const uniqueFilename = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalName);
+  const name = path.basename(originalName, ext).replace(/\s+/g, '-');
+  return `${name}-${uniqueSuffix}${ext}`;
+};
+
+// Stand-ins for missing tags; never written back into files
+const PLACEHOLDERS = {
+  artist: 'Unknown Artist',
+  album: 'Unknown Album',
+  genre: 'Uncategorized'
+};
+
+// Positive whole numbers only (track 0 or year 0 means "not set")
+const positive = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+// dB values to 2 decimals, linear peaks to 6
+const round = (value, decimals) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+/**
+ * Read ReplayGain values from the audio tags
+ * Vorbis/ID3/APE tags come through music-metadata's common tags;
+ * the LAME header of an MP3 is only reported on the format
+ * @param {Object|null} audioMetadata - Result of mm.parseFile
+ * @returns {Object|null} { trackGain, trackPeak, albumGain, albumPeak }
+ *   gains in dB, peaks as linear sample values (1 = full scale);
+ *   missing values are null; null if the file has no ReplayGain at all
+ */
+const readReplayGain = (audioMetadata) => {
+  if (!audioMetadata) return null;
+  const common = audioMetadata.common || {};
+  const format = audioMetadata.format || {};
+
+  const gain = (tag, fallback) => {
+    const value = tag ? tag.dB : fallback;
+    return typeof value === 'number' && isFinite(value) ? round(value, 2) : null;
+  };
+  const peak = (tag, fallback) => {
+    const value = tag ? tag.ratio : fallback;
+    return typeof value === 'number' && isFinite(value) && value > 0 ? round(value, 6) : null;
+  };
+
+  const replayGain = {
+    trackGain: gain(common.replaygain_track_gain, format.trackGain),
+    trackPeak: peak(common.replaygain_track_peak, format.trackPeakLevel),
+    albumGain: gain(common.replaygain_album_gain, format.albumGain),
+    albumPeak: peak(common.replaygain_album_peak)
+  };
+
+  return replayGain.trackGain === null && replayGain.albumGain === null ? null : replayGain;
+};
+
+/**
+ * Import one audio file into the library
+ * @param {Object} options
+ * @param {string} options.filePath - Audio file on disk; moved into /uploads/music if needed
+ * @param {string} options.originalName - Name the user knows the file by
+ * @param {Object} options.fields - Optional title/artist/album/genre overrides
+ * @param {string} options.coverPath - Optional sidecar image
+ * @param {string} options.lyricsPath - Optional .lrc file
+ * @param {boolean} options.allowDuplicate - Skip the duplicate check
+ * @returns {Promise<Object>} { status: 'imported' | 'duplicate', track }
+ */
+const importTrack = async ({ filePath, originalName, fields = {}, coverPath = null, lyricsPath = null, allowDuplicate = false }) => {
+  // Reject files already in the library (checked again atomically on insert)
+  const hash = await duplicates.hashFile(filePath);
+  if (!allowDuplicate) {
+    const [existing] = await db.tracks.findBy('hash', hash);
+    if (existing) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      return { status: 'duplicate', track: existing };
+    }
+  }
+
+  // Files from batch uploads and archives still live in /uploads/tmp
+  let filename = path.basename(filePath);
+  if (path.dirname(path.resolve(filePath)) !== MUSIC_DIR) {
+    filename = uniqueFilename(originalName);
+    await fs.promises.rename(filePath, path.join(MUSIC_DIR, filename));
+  }
+  const storedPath = path.join(MUSIC_DIR, filename);
+
+  let metadata = {
+    title: fields.title || path.basename(originalName, path.extname(originalName)),
+    artist: fields.artist || PLACEHOLDERS.artist,
+    album: fields.album || PLACEHOLDERS.album,
+    genre: fields.genre || PLACEHOLDERS.genre,
+    albumArtist: null,
+    year: null,
+    trackNumber: null,
+    discNumber: null,
+    duration: 0
+  };
+
+  // Extract metadata from audio file
+  let audioMetadata = null;
+  try {
+    audioMetadata = await mm.parseFile(storedPath);
+    if (audioMetadata.common) {
+      metadata.title = audioMetadata.common.title || metadata.title;
+      metadata.artist = audioMetadata.common.artist || metadata.artist;
+      metadata.album = audioMetadata.common.album || metadata.album;
+      metadata.genre = (audioMetadata.common.genre && audioMetadata.common.genre[0]) || metadata.genre;
+      metadata.albumArtist = audioMetadata.common.albumartist || null;
+      metadata.year = positive(audioMetadata.common.year);
+      metadata.trackNumber = positive(audioMetadata.common.track && audioMetadata.common.track.no);
+      metadata.discNumber = positive(audioMetadata.common.disk && audioMetadata.common.disk.no);
+    }
+    if (audioMetadata.format && audioMetadata.format.duration) {
+      metadata.duration = Math.round(audioMetadata.format.duration);
+    }
+  } catch (metaError) {
+    console.log('Could not extract metadata, using defaults');
+  }
+
+  const id = db.generateId();
+
+  // Embedded cover art first, cover.jpg/folder.png as fallback
+  let trackArtwork = null;
+  try {
+    trackArtwork = await artwork.extractArtwork(id, audioMetadata, coverPath);
+  } catch (artworkError) {
+    console.log('Could not extract artwork:', artworkError.message);
+  }
+
+  // .lrc file first, embedded unsynced lyrics as fallback
+  let trackLyrics = null;
+  try {
+    trackLyrics = await lyrics.extractLyrics(id, audioMetadata, lyricsPath);
+  } catch (lyricsError) {
+    console.log('Could not extract lyrics:', lyricsError.message);
+  }
+
+  const stat = await fs.promises.stat(storedPath);
+  const record = {
+    id: id,
+    filename: filename,
+    originalName: originalName,
+    url: `/api/tracks/${id}/stream`,
+    size: stat.size,
+    hash: hash,
+    uploadDate: new Date().toISOString(),
+    artwork: trackArtwork,
+    lyrics: trackLyrics,
+    replayGain: readReplayGain(audioMetadata),
+    ...metadata
+  };
+
+  if (allowDuplicate) {
+    return { status: 'imported', track: await db.tracks.create(record) };
+  }
+
+  // The same file may have been imported while this one was being processed
+  const { created, item } = await db.tracks.createUnique('hash', record);
+  if (!created) {
+    await fs.promises.unlink(storedPath).catch(() => {});
+    await artwork.removeArtwork(record);
+    await lyrics.removeLyrics(record);
+    return { status: 'duplicate', track: item };
+  }
+
+  return { status: 'imported', track: item };
+};
+
+module.exports = {
+  MUSIC_DIR,
+  MAX_AUDIO_SIZE,
+  PLACEHOLDERS,
+  getAudioMimeType,
+  isAudioFile,
+  importTrack
+};
@@ -0,0 +1,151 @@
+/**
+ * LYRICS SERVICE
+ * Stores and parses track lyrics
+ * - Time-synced lyrics come from .lrc files ([mm:ss.xx] line tags)
+ * - Unsynced lyrics come from embedded tags (ID3 USLT, Vorbis LYRICS...)
+ * - The raw text lives in /uploads/lyrics/<trackId>.lrc; the track
+ *   itself only keeps a small summary so track lists stay light
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LYRICS_DIR = path.join(__dirname, '../uploads/lyrics');
+
+// [mm:ss], [mm:ss.xx] or [mm:ss:xx]
+const TIME_TAG = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// [offset:+500] shifts every timestamp (milliseconds)
+const OFFSET_TAG = /^\[offset:\s*([+-]?\d+)\s*\]$/i;
+// [ar:...], [ti:...] and other ID tags carry no lyrics
+const ID_TAG = /^\[[a-z]+:.*\]$/i;
+// Enhanced LRC word timings: <mm:ss.xx>
+const WORD_TAG = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+const lyricsPath = (trackId) => path.join(LYRICS_DIR, `${trackId}.lrc`);
+
+/**
+ * Parse lyrics text (LRC or plain)
+ * @param {string} text - Raw lyrics
+ * @returns {Object} { synced, lines: [{ time, text }] }
+ *   time is in seconds for synced lyrics, null otherwise
+ */
+const parseLyrics = (text) => {
+  const rawLines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  let offset = 0;
+  const synced = [];
+
+  rawLines.forEach(rawLine => {
+    const line = rawLine.trim();
+    const offsetMatch = OFFSET_TAG.exec(line);
+    if (offsetMatch) {
+      offset = parseInt(offsetMatch[1], 10) / 1000;
+      return;
+    }
+
+    const times = [];
+    let match;
+    TIME_TAG.lastIndex = 0;
+    while ((match = TIME_TAG.exec(line)) !== null) {
+      const fraction = match[3] ? parseInt(match[3], 10) / Math.pow(10, match[3].length) : 0;
+      times.push(parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + fraction);
+    }
+    if (times.length === 0) return;
+
+    const lyric = line.replace(TIME_TAG, '').replace(WORD_TAG, '').trim();
+    times.forEach(time => synced.push({ time, text: lyric }));
+  });
+
+  if (synced.length > 0) {
+    // Positive offsets make lyrics appear earlier
+    return {
+      synced: true,
+      lines: synced
+        .map(line => ({ time: Math.max(0, Math.round((line.time - offset) * 100) / 100), text: line.text }))
+        .sort((a, b) => a.time - b.time)
+    };
+  }
+
+  return {
+    synced: false,
+    lines: rawLines
+      .map(line => line.trim())
+      .filter(line => !ID_TAG.test(line))
+      .map(line => ({ time: null, text: line }))
+  };
+};
+
+/**
+ * Store lyrics for a track
+ * @param {string} trackId - ID of the track
+ * @param {string} text - Raw lyrics (LRC or plain)
+ * @param {string} source - Where they came from ('embedded', 'lrc', 'manual')
+ * @returns {Promise<Object|null>} Summary to save on the track, or null if empty
+ */
+const saveLyrics = async (trackId, text, source) => {
+  const parsed = parseLyrics(text);
+  if (!parsed.lines.some(line => line.text)) return null;
+
+  await fs.promises.mkdir(LYRICS_DIR, { recursive: true });
+  await fs.promises.writeFile(lyricsPath(trackId), text);
+
+  return {
+    synced: parsed.synced,
+    source,
+    lineCount: parsed.lines.length
+  };
+};
+
+/**
+ * Lyrics for a newly imported track: an uploaded .lrc file wins
+ * over embedded (unsynced) lyrics
+ * @param {string} trackId - ID of the track
+ * @param {Object|null} audioMetadata - Result of mm.parseFile
+ * @param {string|null} lrcPath - Optional .lrc sidecar file
+ * @returns {Promise<Object|null>} Summary to save on the track
+ */
+const extractLyrics = async (trackId, audioMetadata, lrcPath = null) => {
+  if (lrcPath) {
+    const saved = await saveLyrics(trackId, await fs.promises.readFile(lrcPath, 'utf8'), 'lrc');
+    if (saved) return saved;
+  }
+
+  const embedded = audioMetadata && audioMetadata.common && audioMetadata.common.lyrics;
+  if (embedded && embedded.length > 0) {
+    return saveLyrics(trackId, embedded.join('\n'), 'embedded');
+  }
+
+  return null;
+};
+
+/**
+ * Load and parse a track's lyrics
+ * @param {Object} track - Track object
+ * @returns {Promise<Object|null>} { synced, source, lines }, or null if none
+ */
+const loadLyrics = async (track) => {
+  if (!track.lyrics) return null;
+
+  try {
+    const text = await fs.promises.readFile(lyricsPath(track.id), 'utf8');
+    return { ...parseLyrics(text), source: track.lyrics.source };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete a track's lyrics file
+ * @param {Object} track - Track object
+ */
+const removeLyrics = async (track) => {
+  await fs.promises.unlink(lyricsPath(track.id)).catch(() => {});
+};
+
+module.exports = {
+  parseLyrics,
+  saveLyrics,
+  extractLyrics,
+  loadLyrics,
+  removeLyrics
+};
@@ -0,0 +1,249 @@
+/**
+ * PLAYLIST FORMATS SERVICE
+ * Reads and writes playlist files used by desktop players:
+ * - M3U / M3U8 (with #EXTINF duration and "Artist - Title")
+ * - PLS
+ * - XSPF
+ * Imported entries are matched to library tracks by stream URL,
+ * file name (from any path or URL) or title/artist
+ */
+
+const path = require('path');
+const { normalize } = require('./duplicates');
+
+const FORMATS = {
+  m3u: { extension: '.m3u', contentType: 'audio/x-mpegurl' },
+  m3u8: { extension: '.m3u8', contentType: 'audio/x-mpegurl; charset=utf-8' },
+  pls: { extension: '.pls', contentType: 'audio/x-scpls' },
+  xspf: { extension: '.xspf', contentType: 'application/xspf+xml' }
+};
+
+// Locations written by the export, e.g. http://host/api/tracks/<id>/stream
+const STREAM_URL = /\/api\/tracks\/([^/?#]+)\/stream/;
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" })[name]);
+
+const displayTitle = (track) => (track.artist ? `${track.artist} - ${track.title}` : track.title);
+
+// "Artist - Title" -> { artist, title }
+const splitDisplayTitle = (value) => {
+  const text = String(value || '').trim();
+  const separator = text.indexOf(' - ');
+  return separator === -1
+    ? { artist: '', title: text }
+    : { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+/**
+ * Format from a file name or an explicit format name
+ * @param {string} value - e.g. 'mix.m3u8' or 'pls'
+ * @returns {string|null} Key of FORMATS
+ */
+const detectFormat = (value) => {
+  const name = String(value || '').toLowerCase();
+  const format = FORMATS[name] ? name : path.extname(name).slice(1);
+  return FORMATS[format] ? format : null;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Write a playlist file
+ * @param {string} format - Key of FORMATS
+ * @param {Object} playlist - Playlist (name, description)
+ * @param {Array} tracks - Its tracks, in order
+ * @param {Function} locate - track -> location written in the file (URL or file name)
+ * @returns {string} File contents
+ */
+const serialize = (format, playlist, tracks, locate) => {
+  // Unknown durations are -1 in M3U and PLS
+  const seconds = (track) => (track.duration ? Math.round(track.duration) : -1);
+
+  if (format === 'pls') {
+    const lines = ['[playlist]'];
+    tracks.forEach((track, index) => {
+      const n = index + 1;
+      lines.push(`File${n}=${locate(track)}`, `Title${n}=${displayTitle(track)}`, `Length${n}=${seconds(track)}`);
+    });
+    lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  if (format === 'xspf') {
+    const optional = (tag, value) => (value ? `      <${tag}>${escapeXml(value)}</${tag}>\n` : '');
+    const entries = tracks.map(track => '    <track>\n' +
+      `      <location>${escapeXml(encodeURI(locate(track)))}</location>\n` +
+      optional('title', track.title) +
+      optional('creator', track.artist) +
+      optional('album', track.album) +
+      optional('duration', track.duration ? Math.round(track.duration * 1000) : null) +
+      '    </track>\n').join('');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+      `  <title>${escapeXml(playlist.name)}</title>\n` +
+      (playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>\n` : '') +
+      '  <trackList>\n' + entries + '  </trackList>\n' +
+      '</playlist>\n';
+  }
+
+  // M3U and M3U8 only differ in the encoding they promise (always UTF-8 here)
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+  tracks.forEach(track => {
+    lines.push(`#EXTINF:${seconds(track)},${displayTitle(track)}`, locate(track));
+  });
+  return lines.join('\n') + '\n';
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Read a playlist file
+ * @param {string} content - File contents
+ * @param {string} format - Key of FORMATS
+ * @returns {Object} { name, entries: [{ location, title, artist, duration }] }
+ *   name is null when the file does not carry one
+ */
+const parse = (content, format) => {
+  const text = String(content).replace(/^\uFEFF/, '');
+
+  if (format === 'pls') {
+    const fields = {};
+    text.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*(File|Title|Length)(\d+)\s*=(.*)$/i);
+      if (!match) return;
+      const n = Number(match[2]);
+      fields[n] = fields[n] || {};
+      fields[n][match[1].toLowerCase()] = match[3].trim();
+    });
+    const entries = Object.keys(fields)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .filter(n => fields[n].file)
+      .map(n => ({
+        location: fields[n].file,
+        ...splitDisplayTitle(fields[n].title),
+        duration: Number(fields[n].length) > 0 ? Number(fields[n].length) : null
+      }));
+    return { name: null, entries };
+  }
+
+  if (format === 'xspf') {
+    const tag = (xml, name) => {
+      const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+      return match ? unescapeXml(match[1].trim()) : '';
+    };
+    const listMatch = text.match(/<trackList[\s\S]*<\/trackList>/i);
+    const trackList = listMatch ? listMatch[0] : '';
+    const entries = (trackList.match(/<track[\s>][\s\S]*?<\/track>/gi) || []).map(xml => {
+      const duration = Number(tag(xml, 'duration'));
+      return {
+        location: tag(xml, 'location'),
+        title: tag(xml, 'title'),
+        artist: tag(xml, 'creator'),
+        duration: duration > 0 ? Math.round(duration / 1000) : null
+      };
+    });
+    // The playlist title is the first <title> outside the track list
+    return { name: tag(text.replace(trackList, ''), 'title') || null, entries };
+  }
+
+  // M3U / M3U8: #EXTINF describes the location on the next non-comment line
+  let name = null;
+  let info = null;
+  const entries = [];
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const extinf = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i);
+    if (extinf) {
+      info = { duration: Number(extinf[1]) > 0 ? Math.round(Number(extinf[1])) : null, ...splitDisplayTitle(extinf[2]) };
+    } else if (/^#PLAYLIST:/i.test(line)) {
+      name = line.slice('#PLAYLIST:'.length).trim() || null;
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, title: '', artist: '', duration: null, ...info });
+      info = null;
+    }
+  });
+  return { name, entries };
+};
+
+// URL-decode, keeping the value as is when it is not URL-encoded after all
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Last segment of a path or URL, decoded: "file:///C:/Music/My%20Song.mp3" -> "my song.mp3"
+const fileNameOf = (location) => {
+  let value = String(location || '');
+  if (/^https?:\/\//i.test(value)) value = value.split(/[?#]/)[0];
+  return decode(value).split(/[\\/]/).pop().toLowerCase();
+};
+
+/**
+ * Match imported entries to library tracks
+ * Tried in order: stream URL from an export, file name, title + artist,
+ * then title alone when only one track has it
+ * @param {Array} entries - Parsed entries
+ * @param {Array} library - All tracks
+ * @returns {Object} { matched: [{ entry, track }], unmatched: [entry] }
+ */
+const matchEntries = (entries, library) => {
+  const byId = new Map(library.map(track => [track.id, track]));
+  const byFileName = new Map();
+  const byTitleArtist = new Map();
+  const byTitle = new Map();
+  library.forEach(track => {
+    [track.originalName, track.filename].filter(Boolean).forEach(name => {
+      if (!byFileName.has(name.toLowerCase())) byFileName.set(name.toLowerCase(), track);
+    });
+    const title = normalize(track.title);
+    const key = `${title}|${normalize(track.artist)}`;
+    if (!byTitleArtist.has(key)) byTitleArtist.set(key, track);
+    byTitle.set(title, byTitle.has(title) ? null : track); // null: ambiguous
+  });
+
+  const matched = [];
+  const unmatched = [];
+  entries.forEach(entry => {
+    const streamMatch = String(entry.location || '').match(STREAM_URL);
+    const title = normalize(entry.title);
+    const track = (streamMatch && byId.get(decode(streamMatch[1]))) ||
+      byFileName.get(fileNameOf(entry.location)) ||
+      (title && byTitleArtist.get(`${title}|${normalize(entry.artist)}`)) ||
+      (title && !entry.artist && byTitle.get(title)) ||
+      null;
+
+    if (track) {
+      matched.push({ entry, track });
+    } else {
+      unmatched.push(entry);
+    }
+  });
+
+  return { matched, unmatched };
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  serialize,
+  parse,
+  matchEntries
+};
@@ -0,0 +1,171 @@
+/**
+ * SMART PLAYLISTS SERVICE
+ * Smart playlists hold rules instead of a fixed list of tracks:
+ *   { match: 'all'|'any', rules: [{ field, operator, value }], sort: { field, order }, limit }
+ * Their tracks are worked out from the library whenever they are read
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field -> type; the type decides the operators and how values are compared
+const FIELDS = {
+  title: 'text',
+  artist: 'text',
+  album: 'text',
+  genre: 'text',
+  duration: 'number',   // Seconds
+  playCount: 'number',
+  skipCount: 'number',
+  uploadDate: 'date',   // Added to the library
+  lastPlayed: 'date'
+};
+
+const OPERATORS = {
+  text: ['is', 'isNot', 'contains', 'notContains'],
+  number: ['equals', 'greaterThan', 'lessThan'],
+  date: ['inLast', 'notInLast'] // Value in days
+};
+
+const SORT_FIELDS = [...Object.keys(FIELDS), 'random'];
+const MAX_RULES = 20;
+
+const text = (value) => String(value || '').toLowerCase();
+
+/**
+ * Check and clean up smart playlist settings from a request
+ * @param {Object} input - Settings as sent by the client
+ * @returns {Object} { smart } or { error } with a message for the client
+ */
+const parseSmart = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'smart must be an object with rules' };
+  }
+
+  const match = input.match || 'all';
+  if (!['all', 'any'].includes(match)) {
+    return { error: 'match must be "all" or "any"' };
+  }
+
+  if (!Array.isArray(input.rules) || input.rules.length === 0 || input.rules.length > MAX_RULES) {
+    return { error: `A smart playlist needs between 1 and ${MAX_RULES} rules` };
+  }
+
+  const rules = [];
+  for (const rule of input.rules) {
+    const type = FIELDS[rule && rule.field];
+    if (!type) {
+      return { error: `Unknown rule field. Use one of: ${Object.keys(FIELDS).join(', ')}` };
+    }
+    if (!OPERATORS[type].includes(rule.operator)) {
+      return { error: `${rule.field} rules use one of: ${OPERATORS[type].join(', ')}` };
+    }
+
+    let value = rule.value;
+    if (type === 'text') {
+      value = String(value === undefined || value === null ? '' : value).trim();
+    } else {
+      value = Number(value);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `${rule.field} rules need a number of ${type === 'date' ? 'days' : 'at least 0'}` };
+      }
+    }
+    rules.push({ field: rule.field, operator: rule.operator, value });
+  }
+
+  let sort = null;
+  if (input.sort && input.sort.field) {
+    if (!SORT_FIELDS.includes(input.sort.field)) {
+      return { error: `sort field must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    sort = { field: input.sort.field, order: input.sort.order === 'desc' ? 'desc' : 'asc' };
+  }
+
+  let limit = null;
+  if (input.limit !== undefined && input.limit !== null && input.limit !== '') {
+    limit = Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a whole number above 0' };
+    }
+  }
+
+  return { smart: { match, rules, sort, limit } };
+};
+
+/**
+ * @param {Object} track
+ * @param {Object} rule - { field, operator, value }
+ * @param {number} now - Reference time (ms)
+ * @returns {boolean}
+ */
+const matchesRule = (track, rule, now) => {
+  const actual = track[rule.field];
+
+  switch (rule.operator) {
+    case 'is':
+      return text(actual) === text(rule.value);
+    case 'isNot':
+      return text(actual) !== text(rule.value);
+    case 'contains':
+      return text(actual).includes(text(rule.value));
+    case 'notContains':
+      return !text(actual).includes(text(rule.value));
+    case 'equals':
+      return (Number(actual) || 0) === rule.value;
+    case 'greaterThan':
+      return (Number(actual) || 0) > rule.value;
+    case 'lessThan':
+      return (Number(actual) || 0) < rule.value;
+    case 'inLast':
+      return Boolean(actual) && now - new Date(actual).getTime() <= rule.value * DAY_MS;
+    case 'notInLast':
+      // Never played counts as "not played in the last N days"
+      return !actual || now - new Date(actual).getTime() > rule.value * DAY_MS;
+    default:
+      return false;
+  }
+};
+
+// Missing values sort last whatever the order
+const compareTracks = (field, order) => (a, b) => {
+  const x = a[field];
+  const y = b[field];
+  const xMissing = x === undefined || x === null || x === '';
+  const yMissing = y === undefined || y === null || y === '';
+  if (xMissing || yMissing) return xMissing - yMissing;
+
+  const result = FIELDS[field] === 'number'
+    ? x - y
+    : String(x).localeCompare(String(y), undefined, { sensitivity: 'base' });
+  return order === 'desc' ? -result : result;
+};
+
+/**
+ * Pick the tracks of a smart playlist
+ * @param {Object} smart - Parsed settings (see parseSmart)
+ * @param {Array} tracks - All tracks in the library
+ * @param {number} now - Reference time (ms)
+ * @returns {Array} Matching tracks, sorted and limited
+ */
+const evaluate = (smart, tracks, now = Date.now()) => {
+  const test = smart.match === 'any' ? 'some' : 'every';
+  let result = tracks.filter(track => smart.rules[test](rule => matchesRule(track, rule, now)));
+
+  if (smart.sort && smart.sort.field === 'random') {
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+  } else if (smart.sort) {
+    result.sort(compareTracks(smart.sort.field, smart.sort.order));
+  }
+
+  if (smart.limit) result = result.slice(0, smart.limit);
+  return result;
+};
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  parseSmart,
+  evaluate
+};
@@ -0,0 +1,140 @@
+/**
+ * STATS SERVICE
+ * Listening statistics built from the play history and the library
+ * - Totals, top tracks/artists/albums/genres for a period
+ * - Listening activity by hour of day and day of week
+ * - Library growth per month, based on upload dates
+ */
+
+const PERIODS = {
+  week: 7,
+  month: 30,
+  year: 365,
+  all: null
+};
+
+const TOP_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a period
+ * @param {string} period - 'week', 'month', 'year' or 'all'
+ * @param {Date} now - Reference time
+ * @returns {Date|null} null for 'all'
+ */
+const periodStart = (period, now = new Date()) => {
+  const days = PERIODS[period];
+  return days ? new Date(now.getTime() - days * DAY_MS) : null;
+};
+
+// Seconds actually listened (the player updates the entry when the track is left)
+const listenedTime = (entry) => entry.listened || 0;
+
+/**
+ * Count plays and listening time per key, most played first
+ * @param {Array} plays - [{ entry, track }]
+ * @param {Function} keyOf - track -> key (falsy keys are left out)
+ * @returns {Array} [{ key, plays, listeningTime }]
+ */
+const rank = (plays, keyOf) => {
+  const counts = new Map();
+  plays.forEach(({ entry, track }) => {
+    const key = track && keyOf(track);
+    if (!key) return;
+    const count = counts.get(key) || { key, plays: 0, listeningTime: 0 };
+    count.plays++;
+    count.listeningTime += listenedTime(entry);
+    counts.set(key, count);
+  });
+
+  return [...counts.values()]
+    .sort((a, b) => b.plays - a.plays || b.listeningTime - a.listeningTime)
+    .slice(0, TOP_LIMIT);
+};
+
+/**
+ * Uploads per month, with the running library size
+ * @param {Array} tracks - All tracks
+ * @returns {Array} [{ month: 'YYYY-MM', added, total }], oldest first, no gaps
+ */
+const libraryGrowth = (tracks) => {
+  const perMonth = new Map();
+  tracks.forEach(track => {
+    if (!track.uploadDate) return;
+    const month = track.uploadDate.slice(0, 7);
+    perMonth.set(month, (perMonth.get(month) || 0) + 1);
+  });
+  if (perMonth.size === 0) return [];
+
+  const months = [...perMonth.keys()].sort();
+  const last = months[months.length - 1];
+  const growth = [];
+  let [year, month] = months[0].split('-').map(Number);
+  let total = 0;
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    const added = perMonth.get(key) || 0;
+    total += added;
+    growth.push({ month: key, added, total });
+    if (key === last) break;
+    month = month === 12 ? 1 : month + 1;
+    if (month === 1) year++;
+  }
+  return growth;
+};
+
+/**
+ * Build the statistics for a period
+ * @param {Array} history - All history entries ({ trackId, playedAt, listened })
+ * @param {Array} tracks - All tracks
+ * @param {Object} options - { period, tzOffset } where tzOffset is the
+ *   client's Date#getTimezoneOffset(), so hours and weekdays are local to the listener
+ * @returns {Object} Statistics
+ */
+const buildStats = (history, tracks, { period = 'all', tzOffset = 0 } = {}) => {
+  const since = periodStart(period);
+  const byId = new Map(tracks.map(track => [track.id, track]));
+
+  const plays = history
+    .filter(entry => !since || new Date(entry.playedAt) >= since)
+    .map(entry => ({ entry, track: byId.get(entry.trackId) || null }));
+
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0); // Sunday first, like Date#getDay()
+  plays.forEach(({ entry }) => {
+    const local = new Date(new Date(entry.playedAt).getTime() - tzOffset * 60 * 1000);
+    byHour[local.getUTCHours()]++;
+    byWeekday[local.getUTCDay()]++;
+  });
+
+  return {
+    period: period,
+    since: since ? since.toISOString() : null,
+    totals: {
+      plays: plays.length,
+      listeningTime: plays.reduce((sum, { entry }) => sum + listenedTime(entry), 0),
+      tracks: new Set(plays.map(({ entry }) => entry.trackId)).size,
+      libraryTracks: tracks.length
+    },
+    topTracks: rank(plays, track => track.id)
+      .map(({ key, ...count }) => ({ track: byId.get(key), ...count })),
+    topArtists: rank(plays, track => track.artist)
+      .map(({ key, ...count }) => ({ name: key, ...count })),
+    topAlbums: rank(plays, track => track.album && `${track.album}\u0000${track.artist || ''}`)
+      .map(({ key, ...count }) => {
+        const [name, artist] = key.split('\u0000');
+        return { name, artist, ...count };
+      }),
+    topGenres: rank(plays, track => track.genre)
+      .map(({ key, ...count }) => ({ name: key, ...count })),
+    byHour: byHour,
+    byWeekday: byWeekday,
+    libraryGrowth: libraryGrowth(tracks)
+  };
+};
+
+module.exports = {
+  PERIODS,
+  buildStats
+};
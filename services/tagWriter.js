@@ -0,0 +1,654 @@
+/**
+ * TAG WRITER SERVICE
+ * Writes edited metadata back into the audio files, so files taken out
+ * of the library carry the same tags as the library:
+ * - MP3: ID3v2.3/v2.4 (frames we do not edit are kept) and any ID3v1 tag
+ * - FLAC: Vorbis comments and PICTURE blocks
+ * - Ogg Vorbis / Opus: Vorbis comments (later pages renumbered)
+ * - M4A: iTunes-style ilst atoms (chunk offsets fixed when the audio moves)
+ * WAV and raw AAC files are left alone
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Tags this service manages; every other tag in a file is kept
+const TAG_FIELDS = ['title', 'artist', 'albumArtist', 'album', 'genre', 'year', 'trackNumber', 'discNumber'];
+
+// Room left in ID3 and FLAC headers so later edits cost less
+const PADDING = 1024;
+
+// Empty values remove the tag
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// ============================================
+// ID3 (MP3)
+// ============================================
+
+const ID3_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  albumArtist: 'TPE2',
+  album: 'TALB',
+  genre: 'TCON',
+  trackNumber: 'TRCK',
+  discNumber: 'TPOS'
+};
+
+// The year frame changed name between versions; both are replaced
+const ID3_YEAR_FRAMES = { 3: 'TYER', 4: 'TDRC' };
+
+const readSyncsafe = (buffer, offset) => ((buffer[offset] & 0x7f) << 21) |
+  ((buffer[offset + 1] & 0x7f) << 14) | ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+
+const syncsafe = (value) => Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+
+// Undo unsynchronisation: 0xFF 0x00 -> 0xFF
+const resync = (buffer) => {
+  const bytes = [];
+  for (let i = 0; i < buffer.length; i++) {
+    bytes.push(buffer[i]);
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Read the ID3v2 tag at the start of a file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { version, frames: [{ id, flags, data }], end } where end is
+ *   where the audio starts; version is null when there is no tag.
+ *   ID3v2.2 frames cannot be carried over and come back empty
+ */
+const readId3 = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return { version: null, frames: [], end: 0 };
+  }
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const end = 10 + readSyncsafe(buffer, 6) + (flags & 0x10 ? 10 : 0);
+  if (version !== 3 && version !== 4) return { version, frames: [], end };
+
+  let body = buffer.subarray(10, 10 + readSyncsafe(buffer, 6));
+  if (version === 3 && flags & 0x80) body = resync(body);
+
+  let pos = 0;
+  if (flags & 0x40) {
+    pos = version === 3 ? 4 + body.readUInt32BE(0) : readSyncsafe(body, 0);
+  }
+
+  const frames = [];
+  while (pos + 10 <= body.length && body[pos] !== 0) {
+    const size = version === 4 ? readSyncsafe(body, pos + 4) : body.readUInt32BE(pos + 4);
+    frames.push({
+      id: body.toString('latin1', pos, pos + 4),
+      flags: body.subarray(pos + 8, pos + 10),
+      data: body.subarray(pos + 10, pos + 10 + size)
+    });
+    pos += 10 + size;
+  }
+
+  return { version, frames, end };
+};
+
+const id3Frame = (version, id, data, flags = Buffer.alloc(2)) => {
+  const size = Buffer.alloc(4);
+  if (version === 4) {
+    syncsafe(data.length).copy(size);
+  } else {
+    size.writeUInt32BE(data.length);
+  }
+  return Buffer.concat([Buffer.from(id, 'latin1'), size, flags, data]);
+};
+
+// v2.4 text is UTF-8; v2.3 uses Latin-1 when it can, UTF-16 otherwise
+const id3Text = (version, value) => {
+  const text = String(value);
+  if (version === 4) return Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]);
+  if (/^[\x00-\xff]*$/.test(text)) return Buffer.concat([Buffer.from([0]), Buffer.from(text, 'latin1')]);
+  return Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+};
+
+// Front cover (picture type 3) with an empty description
+const id3Picture = (cover) => Buffer.concat([
+  Buffer.from([0]),
+  Buffer.from(`${cover.mimeType}\0`, 'latin1'),
+  Buffer.from([3, 0]),
+  cover.data
+]);
+
+/**
+ * Rewrite an existing ID3v1 tag (last 128 bytes) with the new values
+ * Its genre is a number from a fixed list, so it is left as it is
+ */
+const updateId3v1 = (audio, tags) => {
+  if (audio.length < 128 || audio.toString('latin1', audio.length - 128, audio.length - 125) !== 'TAG') {
+    return audio;
+  }
+
+  const tag = Buffer.from(audio.subarray(audio.length - 128));
+  const write = (value, offset, length) => {
+    tag.fill(0, offset, offset + length);
+    tag.write(String(hasValue(value) ? value : '').replace(/[^\x00-\xff]/g, '?').slice(0, length), offset, 'latin1');
+  };
+  write(tags.title, 3, 30);
+  write(tags.artist, 33, 30);
+  write(tags.album, 63, 30);
+  write(tags.year, 93, 4);
+  // ID3v1.1: a zero byte before the last comment byte makes that byte the track number
+  if (tag[125] === 0) tag[126] = Number(tags.trackNumber) > 0 && Number(tags.trackNumber) < 256 ? Number(tags.trackNumber) : 0;
+
+  return Buffer.concat([audio.subarray(0, audio.length - 128), tag]);
+};
+
+const writeMp3 = (buffer, tags, cover) => {
+  const existing = readId3(buffer);
+  const version = existing.version === 4 ? 4 : 3;
+
+  const replaced = new Set([...Object.values(ID3_FRAMES), ...Object.values(ID3_YEAR_FRAMES)]);
+  if (cover !== undefined) replaced.add('APIC');
+
+  const frames = existing.frames
+    .filter(frame => !replaced.has(frame.id))
+    .map(frame => id3Frame(version, frame.id, frame.data, frame.flags));
+
+  Object.entries(ID3_FRAMES).forEach(([field, id]) => {
+    if (hasValue(tags[field])) frames.push(id3Frame(version, id, id3Text(version, tags[field])));
+  });
+  if (hasValue(tags.year)) frames.push(id3Frame(version, ID3_YEAR_FRAMES[version], id3Text(version, tags.year)));
+  if (cover) frames.push(id3Frame(version, 'APIC', id3Picture(cover)));
+
+  const body = Buffer.concat([...frames, Buffer.alloc(PADDING)]);
+  const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([version, 0, 0]), syncsafe(body.length)]);
+
+  return Buffer.concat([header, body, updateId3v1(buffer.subarray(existing.end), tags)]);
+};
+
+// ============================================
+// VORBIS COMMENTS (FLAC, OGG)
+// ============================================
+
+const VORBIS_KEYS = {
+  title: 'TITLE',
+  artist: 'ARTIST',
+  albumArtist: 'ALBUMARTIST',
+  album: 'ALBUM',
+  genre: 'GENRE',
+  year: 'DATE',
+  trackNumber: 'TRACKNUMBER',
+  discNumber: 'DISCNUMBER'
+};
+
+// Ogg files carry cover art as a base64 FLAC picture block
+const VORBIS_PICTURE_KEYS = ['METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'];
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} offset - Start of the vendor string length
+ * @returns {Object} { vendor, comments: ['KEY=value'], end }
+ */
+const readVorbisComments = (buffer, offset) => {
+  let pos = offset;
+  const vendorLength = buffer.readUInt32LE(pos);
+  const vendor = buffer.toString('utf8', pos + 4, pos + 4 + vendorLength);
+  pos += 4 + vendorLength;
+
+  const count = buffer.readUInt32LE(pos);
+  pos += 4;
+  const comments = [];
+  for (let i = 0; i < count; i++) {
+    const length = buffer.readUInt32LE(pos);
+    comments.push(buffer.toString('utf8', pos + 4, pos + 4 + length));
+    pos += 4 + length;
+  }
+
+  return { vendor, comments, end: pos };
+};
+
+const buildVorbisComments = (vendor, comments) => {
+  const field = (text) => {
+    const data = Buffer.from(text, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(data.length);
+    return Buffer.concat([length, data]);
+  };
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(comments.length);
+  return Buffer.concat([field(vendor), count, ...comments.map(field)]);
+};
+
+/**
+ * Replace the managed comments, keeping the rest
+ * @param {Array} comments - Existing 'KEY=value' strings
+ * @param {Object} tags - New values
+ * @param {Object|null|undefined} cover - Embedded as a picture comment when pictureKeys is set
+ * @param {boolean} pictureKeys - Whether cover art lives in the comments (Ogg)
+ */
+const mergeVorbisComments = (comments, tags, cover, pictureKeys) => {
+  const replaced = new Set(Object.values(VORBIS_KEYS));
+  if (pictureKeys && cover !== undefined) VORBIS_PICTURE_KEYS.forEach(key => replaced.add(key));
+
+  const merged = comments.filter(comment => !replaced.has(comment.split('=')[0].toUpperCase()));
+  Object.entries(VORBIS_KEYS).forEach(([field, key]) => {
+    if (hasValue(tags[field])) merged.push(`${key}=${tags[field]}`);
+  });
+  if (pictureKeys && cover) merged.push(`METADATA_BLOCK_PICTURE=${flacPicture(cover).toString('base64')}`);
+  return merged;
+};
+
+// FLAC PICTURE block body, also used base64-encoded in Ogg comments
+const flacPicture = (cover) => {
+  const mimeType = Buffer.from(cover.mimeType, 'latin1');
+  const header = Buffer.alloc(8 + mimeType.length + 24);
+  let pos = header.writeUInt32BE(3); // Front cover
+  pos = header.writeUInt32BE(mimeType.length, pos);
+  pos += mimeType.copy(header, pos);
+  pos = header.writeUInt32BE(0, pos); // No description
+  pos = header.writeUInt32BE(cover.width || 0, pos);
+  pos = header.writeUInt32BE(cover.height || 0, pos);
+  pos = header.writeUInt32BE(cover.depth || 24, pos);
+  pos = header.writeUInt32BE(0, pos); // Not indexed
+  header.writeUInt32BE(cover.data.length, pos);
+  return Buffer.concat([header, cover.data]);
+};
+
+// ============================================
+// FLAC
+// ============================================
+
+const FLAC_PADDING = 1;
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_PICTURE = 6;
+
+// Block lengths are 24-bit; anything longer would corrupt the stream
+const FLAC_MAX_BLOCK = 0xffffff;
+
+const flacBlock = (type, data, last) => {
+  if (data.length >= FLAC_MAX_BLOCK) {
+    throw new Error(type === FLAC_PICTURE ? 'Cover art is too large for a FLAC file' : 'Tags are too large for a FLAC file');
+  }
+  const header = Buffer.from([(last ? 0x80 : 0) | type, (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff]);
+  return Buffer.concat([header, data]);
+};
+
+const writeFlac = (buffer, tags, cover) => {
+  // Some encoders put an ID3 tag before the stream; FLAC players ignore it
+  const start = readId3(buffer).end;
+  if (buffer.toString('latin1', start, start + 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+
+  const kept = [];
+  let vendor = 'music-player';
+  let comments = [];
+  let pos = start + 4;
+  for (let last = false; !last;) {
+    last = Boolean(buffer[pos] & 0x80);
+    const type = buffer[pos] & 0x7f;
+    const length = buffer.readUIntBE(pos + 1, 3);
+    const data = buffer.subarray(pos + 4, pos + 4 + length);
+    pos += 4 + length;
+
+    if (type === FLAC_VORBIS_COMMENT) {
+      ({ vendor, comments } = readVorbisComments(data, 0));
+    } else if (type === FLAC_PICTURE && cover !== undefined && data.readUInt32BE(0) === 3) {
+      // Front cover being replaced or removed
+    } else if (type !== FLAC_PADDING) {
+      kept.push({ type, data });
+    }
+  }
+
+  kept.push({ type: FLAC_VORBIS_COMMENT, data: buildVorbisComments(vendor, mergeVorbisComments(comments, tags, cover, false)) });
+  if (cover) kept.push({ type: FLAC_PICTURE, data: flacPicture(cover) });
+  kept.push({ type: FLAC_PADDING, data: Buffer.alloc(PADDING) });
+
+  // STREAMINFO stays first
+  const blocks = kept.map((block, index) => flacBlock(block.type, block.data, index === kept.length - 1));
+  return Buffer.concat([Buffer.from('fLaC', 'latin1'), ...blocks, buffer.subarray(pos)]);
+};
+
+// ============================================
+// OGG (VORBIS, OPUS)
+// ============================================
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+const oggCrc = (buffer) => {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+};
+
+const readOggPages = (buffer) => {
+  const pages = [];
+  let pos = 0;
+  while (pos + 27 <= buffer.length) {
+    if (buffer.toString('latin1', pos, pos + 4) !== 'OggS') throw new Error('Damaged Ogg stream');
+    const segmentCount = buffer[pos + 26];
+    const segments = [...buffer.subarray(pos + 27, pos + 27 + segmentCount)];
+    const headerLength = 27 + segmentCount;
+    const bodyLength = segments.reduce((sum, length) => sum + length, 0);
+    pages.push({
+      header: buffer.subarray(pos, pos + headerLength),
+      body: buffer.subarray(pos + headerLength, pos + headerLength + bodyLength),
+      segments: segments
+    });
+    pos += headerLength + bodyLength;
+  }
+  return pages;
+};
+
+const oggPage = (template, flags, sequence, segments, body) => {
+  const header = Buffer.alloc(27 + segments.length);
+  template.copy(header, 0, 0, 27); // Capture pattern, version, granule, serial
+  header[5] = flags;
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt32LE(0, 22);
+  header[26] = segments.length;
+  Buffer.from(segments).copy(header, 27);
+  const page = Buffer.concat([header, body]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+};
+
+// Lay packets out over pages of up to 255 segments; the last packet ends the last page
+const paginate = (template, packets, firstSequence) => {
+  const laced = [];
+  packets.forEach(packet => {
+    for (let pos = 0; ; pos += 255) {
+      const length = Math.min(255, packet.length - pos);
+      laced.push({ length, data: packet.subarray(pos, pos + length) });
+      if (length < 255) break;
+    }
+  });
+
+  const pages = [];
+  for (let i = 0; i < laced.length; i += 255) {
+    const chunk = laced.slice(i, i + 255);
+    const continued = i > 0 && laced[i - 1].length === 255;
+    pages.push(oggPage(template, continued ? 0x01 : 0, firstSequence + pages.length,
+      chunk.map(segment => segment.length), Buffer.concat(chunk.map(segment => segment.data))));
+  }
+  return pages;
+};
+
+const writeOgg = (buffer, tags, cover) => {
+  const pages = readOggPages(buffer);
+  if (pages.length < 2) throw new Error('Not an Ogg file');
+
+  const idHeader = pages[0].body;
+  const codec = idHeader.toString('latin1', 1, 7) === 'vorbis' ? 'vorbis'
+    : idHeader.toString('latin1', 0, 8) === 'OpusHead' ? 'opus' : null;
+  if (!codec) throw new Error('Only Ogg Vorbis and Opus files can be tagged');
+
+  // Comment header (+ setup header for Vorbis) follow the identification page
+  const headerPackets = codec === 'vorbis' ? 2 : 1;
+  const packets = [];
+  let current = [];
+  let pageIndex = 1;
+  while (packets.length < headerPackets && pageIndex < pages.length) {
+    const page = pages[pageIndex++];
+    let pos = 0;
+    page.segments.forEach(length => {
+      current.push(page.body.subarray(pos, pos + length));
+      pos += length;
+      if (length < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+      }
+    });
+  }
+  if (packets.length < headerPackets) throw new Error('Damaged Ogg headers');
+
+  const prefix = codec === 'vorbis' ? Buffer.from('\x03vorbis', 'latin1') : Buffer.from('OpusTags', 'latin1');
+  const { vendor, comments } = readVorbisComments(packets[0], prefix.length);
+  const commentPacket = Buffer.concat([
+    prefix,
+    buildVorbisComments(vendor, mergeVorbisComments(comments, tags, cover, true)),
+    codec === 'vorbis' ? Buffer.from([1]) : Buffer.alloc(0) // Vorbis framing bit
+  ]);
+
+  const headerPages = paginate(pages[1].header, [commentPacket, ...packets.slice(1, headerPackets)], 1);
+  const shift = headerPages.length - (pageIndex - 1);
+
+  // Audio pages keep their contents; only their sequence numbers (and CRCs) move
+  const audioPages = pages.slice(pageIndex).map(page => {
+    if (shift === 0) return Buffer.concat([page.header, page.body]);
+    const header = Buffer.from(page.header);
+    header.writeUInt32LE(header.readUInt32LE(18) + shift, 18);
+    header.writeUInt32LE(0, 22);
+    const rebuilt = Buffer.concat([header, page.body]);
+    rebuilt.writeUInt32LE(oggCrc(rebuilt), 22);
+    return rebuilt;
+  });
+
+  return Buffer.concat([pages[0].header, pages[0].body, ...headerPages, ...audioPages]);
+};
+
+// ============================================
+// MP4 (M4A)
+// ============================================
+
+const MP4_TEXT_ATOMS = {
+  title: '©nam',
+  artist: '©ART',
+  albumArtist: 'aART',
+  album: '©alb',
+  genre: '©gen',
+  year: '©day'
+};
+
+// "gnre" is the old numeric genre, replaced by "©gen"
+const MP4_ATOMS = [...Object.values(MP4_TEXT_ATOMS), 'gnre', 'trkn', 'disk'];
+
+const CONTAINER_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * List the boxes between start and end
+ * @returns {Array} [{ type, start, bodyStart, end }]
+ */
+const mp4Boxes = (buffer, start, end) => {
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    let headerLength = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < headerLength || pos + size > end) throw new Error('Damaged MP4 file');
+    boxes.push({ type: buffer.toString('latin1', pos + 4, pos + 8), start: pos, bodyStart: pos + headerLength, end: pos + size });
+    pos += size;
+  }
+  return boxes;
+};
+
+const mp4Box = (type, ...parts) => {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+// ilst item: the value sits in a "data" box with a type code (1 = UTF-8, 0 = binary, 13/14 = JPEG/PNG)
+const mp4Item = (type, dataType, value) => {
+  const flags = Buffer.alloc(8);
+  flags.writeUInt32BE(dataType);
+  return mp4Box(type, mp4Box('data', flags, value));
+};
+
+// trkn/disk: number and total as 16-bit values
+const mp4Pair = (number, length) => {
+  const value = Buffer.alloc(length);
+  value.writeUInt16BE(Math.min(Number(number), 0xffff), 2);
+  return value;
+};
+
+const mp4Items = (tags, cover) => {
+  const items = [];
+  Object.entries(MP4_TEXT_ATOMS).forEach(([field, type]) => {
+    if (hasValue(tags[field])) items.push(mp4Item(type, 1, Buffer.from(String(tags[field]), 'utf8')));
+  });
+  if (Number(tags.trackNumber) > 0) items.push(mp4Item('trkn', 0, mp4Pair(tags.trackNumber, 8)));
+  if (Number(tags.discNumber) > 0) items.push(mp4Item('disk', 0, mp4Pair(tags.discNumber, 6)));
+  if (cover) items.push(mp4Item('covr', cover.mimeType === 'image/png' ? 14 : 13, cover.data));
+  return items;
+};
+
+// iTunes metadata handler
+const MP4_HDLR = mp4Box('hdlr', Buffer.alloc(8), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9));
+
+/**
+ * Rebuild a box, replacing (or appending) one of its children
+ * @param {Buffer} buffer
+ * @param {Object|null} box - Box to rebuild, or null to create one
+ * @param {number} prefixLength - Bytes before the children (4 for full boxes like meta)
+ * @param {string} childType - Child to replace
+ * @param {Function} rebuildChild - (existing child or null) -> new child Buffer
+ * @param {string} type - Type of the box when it is created
+ */
+const replaceChild = (buffer, box, prefixLength, childType, rebuildChild, type) => {
+  if (!box) return mp4Box(type, Buffer.alloc(prefixLength), rebuildChild(null));
+
+  const childrenStart = box.bodyStart + prefixLength;
+  const children = mp4Boxes(buffer, childrenStart, box.end);
+  const existing = children.find(child => child.type === childType) || null;
+  const parts = children.map(child => (child === existing ? rebuildChild(child) : buffer.subarray(child.start, child.end)));
+  if (!existing) parts.push(rebuildChild(null));
+
+  return mp4Box(box.type, buffer.subarray(box.bodyStart, childrenStart), ...parts);
+};
+
+/**
+ * Shift the chunk offsets (stco/co64) of every track pointing past a point in the file
+ * @param {Buffer} moov - New moov box (changed in place)
+ * @param {number} after - Offsets at or past this moved
+ * @param {number} shift - Bytes they moved by
+ */
+const shiftChunkOffsets = (moov, after, shift) => {
+  const visit = (start, end, depth) => {
+    mp4Boxes(moov, start, end).forEach(box => {
+      if (box.type === CONTAINER_PATH[depth]) {
+        visit(box.bodyStart, box.end, depth + 1);
+      } else if (depth === CONTAINER_PATH.length && (box.type === 'stco' || box.type === 'co64')) {
+        const count = moov.readUInt32BE(box.bodyStart + 4);
+        const wide = box.type === 'co64';
+        for (let i = 0; i < count; i++) {
+          if (wide) {
+            const pos = box.bodyStart + 8 + i * 8;
+            const offset = moov.readBigUInt64BE(pos);
+            if (offset >= BigInt(after)) moov.writeBigUInt64BE(offset + BigInt(shift), pos);
+          } else {
+            const pos = box.bodyStart + 8 + i * 4;
+            const offset = moov.readUInt32BE(pos);
+            if (offset >= after) moov.writeUInt32BE(offset + shift, pos);
+          }
+        }
+      }
+    });
+  };
+  visit(8, moov.length, 0);
+};
+
+const writeMp4 = (buffer, tags, cover) => {
+  const top = mp4Boxes(buffer, 0, buffer.length);
+  const moov = top.find(box => box.type === 'moov');
+  if (!moov) throw new Error('Not an MP4 file');
+
+  const rebuildIlst = (ilst) => {
+    const replaced = new Set(MP4_ATOMS);
+    if (cover !== undefined) replaced.add('covr');
+    const kept = ilst
+      ? mp4Boxes(buffer, ilst.bodyStart, ilst.end)
+        .filter(item => !replaced.has(item.type))
+        .map(item => buffer.subarray(item.start, item.end))
+      : [];
+    return mp4Box('ilst', ...kept, ...mp4Items(tags, cover));
+  };
+
+  const rebuildMeta = (meta) => {
+    if (!meta) return mp4Box('meta', Buffer.alloc(4), MP4_HDLR, rebuildIlst(null));
+    // QuickTime writes meta as a plain box; iTunes as a full box (4 extra bytes)
+    const isFullBox = buffer.toString('latin1', meta.bodyStart + 4, meta.bodyStart + 8) !== 'hdlr';
+    return replaceChild(buffer, meta, isFullBox ? 4 : 0, 'ilst', rebuildIlst, 'meta');
+  };
+
+  const rebuildUdta = (udta) => replaceChild(buffer, udta, 0, 'meta', rebuildMeta, 'udta');
+  const newMoov = replaceChild(buffer, moov, 0, 'udta', rebuildUdta, 'moov');
+
+  // Audio stored after moov moves with it
+  const shift = newMoov.length - (moov.end - moov.start);
+  if (shift !== 0) shiftChunkOffsets(newMoov, moov.end, shift);
+
+  return Buffer.concat([buffer.subarray(0, moov.start), newMoov, buffer.subarray(moov.end)]);
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+const WRITERS = {
+  '.mp3': writeMp3,
+  '.flac': writeFlac,
+  '.ogg': writeOgg,
+  '.opus': writeOgg,
+  '.m4a': writeMp4
+};
+
+/**
+ * Whether tags can be written into a file of this type
+ * @param {string} filename - Audio file name
+ * @returns {boolean}
+ */
+const canWriteTags = (filename) => {
+  return Object.prototype.hasOwnProperty.call(WRITERS, path.extname(filename).toLowerCase());
+};
+
+/**
+ * Write metadata into an audio file
+ * The file is replaced in one step, so a failed write leaves it untouched
+ * @param {string} filePath - Audio file on disk
+ * @param {Object} tags - Values for TAG_FIELDS; empty values remove the tag
+ * @param {Object|null} cover - { data, mimeType, width, height } to embed as the
+ *   front cover, null to remove it, undefined to leave pictures alone
+ */
+const writeTags = async (filePath, tags, cover = undefined) => {
+  const writer = WRITERS[path.extname(filePath).toLowerCase()];
+  if (!writer) {
+    throw new Error(`Tags cannot be written to ${path.extname(filePath) || 'these'} files`);
+  }
+
+  const buffer = await fs.promises.readFile(filePath);
+  const updated = writer(buffer, tags, cover);
+
+  // Unique per write, so concurrent edits of one file never share a temp file
+  const tmpPath = `${filePath}.${process.pid}-${Date.now()}-${Math.round(Math.random() * 1E9)}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpPath, updated);
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = {
+  TAG_FIELDS,
+  canWriteTags,
+  writeTags
+};
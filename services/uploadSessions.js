@@ -0,0 +1,211 @@
+/**
+ * UPLOAD SESSIONS SERVICE
+ * Resumable chunked uploads
+ * - Each session lives in /uploads/tmp/sessions/<uploadId>/: a session.json
+ *   describing the file plus one <index>.part file per stored chunk
+ * - Chunks may arrive in any order and can be re-sent; clients ask which
+ *   chunks are stored to resume after a dropped connection or a page reload
+ * - Finalizing joins the chunks into a single file for the import service
+ * - Sessions left untouched for a day are swept away
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SESSIONS_DIR = path.join(__dirname, '../uploads/tmp/sessions');
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const MIN_CHUNK_SIZE = 256 * 1024;          // 256KB
+const MAX_CHUNK_SIZE = 50 * 1024 * 1024;    // 50MB
+const MAX_FILE_SIZE = 50 * 1024 * 1024;     // 50MB, same as a single upload
+const SESSION_TTL = 24 * 60 * 60 * 1000;    // 1 day
+
+const UPLOAD_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const CHUNK_FILE = /^(\d+)\.part$/;
+
+const sessionDir = (uploadId) => path.join(SESSIONS_DIR, uploadId);
+const chunkPath = (uploadId, index) => path.join(sessionDir(uploadId), `${index}.part`);
+
+// Every chunk is chunkSize bytes except (possibly) the last one
+const expectedChunkSize = (session, index) => {
+  return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+};
+
+/**
+ * Start a new upload session
+ * @param {Object} options
+ * @param {string} options.filename - Original file name
+ * @param {number} options.size - File size in bytes
+ * @param {number} options.chunkSize - Optional preferred chunk size (clamped)
+ * @returns {Promise<Object>} { uploadId, filename, size, chunkSize, totalChunks, createdAt }
+ */
+const createSession = async ({ filename, size, chunkSize }) => {
+  const requested = parseInt(chunkSize, 10) || DEFAULT_CHUNK_SIZE;
+  const effectiveChunkSize = Math.min(Math.max(requested, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+
+  const session = {
+    uploadId: crypto.randomUUID(),
+    filename: path.basename(filename),
+    size: size,
+    chunkSize: effectiveChunkSize,
+    totalChunks: Math.ceil(size / effectiveChunkSize),
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.promises.mkdir(sessionDir(session.uploadId), { recursive: true });
+  await fs.promises.writeFile(path.join(sessionDir(session.uploadId), 'session.json'), JSON.stringify(session));
+  return session;
+};
+
+/**
+ * Load an upload session
+ * @param {string} uploadId - ID returned by createSession
+ * @returns {Promise<Object|null>} Session, or null if unknown or expired
+ */
+const getSession = async (uploadId) => {
+  if (!UPLOAD_ID.test(String(uploadId))) return null;
+
+  try {
+    const data = await fs.promises.readFile(path.join(sessionDir(uploadId), 'session.json'), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * List the chunks already stored for a session
+ * @param {Object} session - Upload session
+ * @returns {Promise<Array<number>>} Sorted chunk indexes
+ */
+const getReceivedChunks = async (session) => {
+  const files = await fs.promises.readdir(sessionDir(session.uploadId)).catch(() => []);
+  return files
+    .map(file => CHUNK_FILE.exec(file))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10))
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Store one chunk from a readable stream (usually the request itself)
+ * The chunk is written to a temp file first so an interrupted transfer
+ * never leaves a partial chunk behind
+ * @param {Object} session - Upload session
+ * @param {number} index - Chunk index (0-based)
+ * @param {ReadableStream} source - Chunk bytes
+ * @returns {Promise<boolean>} false if the chunk had the wrong size (discarded)
+ */
+const writeChunk = async (session, index, source) => {
+  const target = chunkPath(session.uploadId, index);
+  const tempPath = `${target}.${process.pid}-${Date.now()}-${Math.round(Math.random() * 1E9)}.tmp`;
+  const expected = expectedChunkSize(session, index);
+
+  try {
+    const written = await new Promise((resolve, reject) => {
+      const writeStream = fs.createWriteStream(tempPath);
+      let received = 0;
+      let oversized = false;
+
+      const fail = (error) => {
+        writeStream.destroy();
+        reject(error);
+      };
+
+      source.on('data', chunk => {
+        received += chunk.length;
+        // Stop writing an oversized chunk to disk, but keep reading the
+        // request so the route can still answer instead of resetting the socket
+        if (received > expected && !oversized) {
+          oversized = true;
+          source.unpipe(writeStream);
+          source.resume();
+        }
+      });
+      source.on('end', () => {
+        if (oversized) writeStream.end();
+      });
+      source.on('error', fail);
+      source.on('aborted', () => fail(new Error('Upload aborted')));
+      writeStream.on('error', fail);
+      writeStream.on('finish', () => resolve(received));
+      source.pipe(writeStream);
+    });
+
+    if (written !== expected) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      return false;
+    }
+
+    await fs.promises.rename(tempPath, target);
+    return true;
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Join all chunks into a single file
+ * @param {Object} session - Upload session (all chunks must be stored)
+ * @param {string} targetDir - Folder for the assembled file
+ * @returns {Promise<string>} Path of the assembled file
+ */
+const assemble = async (session, targetDir) => {
+  const ext = path.extname(session.filename);
+  const targetPath = path.join(targetDir, `chunked-${session.uploadId}${ext}`);
+  const output = await fs.promises.open(targetPath, 'w');
+
+  try {
+    for (let index = 0; index < session.totalChunks; index++) {
+      // Chunks are at most MAX_CHUNK_SIZE, so reading one at a time is fine
+      await output.write(await fs.promises.readFile(chunkPath(session.uploadId, index)));
+    }
+  } catch (error) {
+    await output.close();
+    await fs.promises.unlink(targetPath).catch(() => {});
+    throw error;
+  }
+
+  await output.close();
+  return targetPath;
+};
+
+/**
+ * Delete a session and its chunks
+ * @param {string} uploadId - ID of the session
+ */
+const removeSession = async (uploadId) => {
+  if (!UPLOAD_ID.test(String(uploadId))) return;
+  await fs.promises.rm(sessionDir(uploadId), { recursive: true, force: true });
+};
+
+/**
+ * Delete sessions nobody touched for SESSION_TTL
+ * Storing a chunk updates the folder's modification time
+ */
+const sweepExpired = async () => {
+  const ids = await fs.promises.readdir(SESSIONS_DIR).catch(() => []);
+  const cutoff = Date.now() - SESSION_TTL;
+
+  for (const uploadId of ids.filter(id => UPLOAD_ID.test(id))) {
+    const stat = await fs.promises.stat(sessionDir(uploadId)).catch(() => null);
+    if (stat && stat.mtimeMs < cutoff) {
+      await removeSession(uploadId);
+    }
+  }
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  expectedChunkSize,
+  createSession,
+  getSession,
+  getReceivedChunks,
+  writeChunk,
+  assemble,
+  removeSession,
+  sweepExpired
+};